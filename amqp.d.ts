@@ -1,5 +1,20 @@
 import type { AmqpConnectionManager, ChannelWrapper, Options } from 'amqp-connection-manager';
 import type { MessageProperties as AmqpMessageProperties } from 'amqplib';
+import type { EventCatalog as BundledEventCatalog } from './events';
+
+export * from './events';
+
+export interface EventCatalog extends BundledEventCatalog {}
+
+type MatchRoute<Routes, RoutingKey extends string> = Routes extends [[infer Pattern, infer Payload], ...infer Rest]
+  ? RoutingKey extends Pattern
+    ? Payload
+    : MatchRoute<Rest, RoutingKey>
+  : any;
+
+export type EventPayload<Exchange extends string, RoutingKey extends string> = Exchange extends keyof EventCatalog
+  ? MatchRoute<EventCatalog[Exchange], RoutingKey>
+  : any;
 
 export interface ConnectionOptions {
   hosts?: string[];
@@ -9,6 +24,188 @@ export interface ConnectionOptions {
   vhost?: string;
   heartbeatIntervalInSeconds?: number;
   reconnectTimeInSeconds?: number;
+  validation?: boolean | ValidationOptions;
+  outbox?: boolean | OutboxOptions;
+  logger?: LoggerTarget | false;
+  drainTimeoutInSeconds?: number;
+  onAbandoned?: (report: ShutdownReport) => void | Promise<void>;
+  /** for all consumers except workerQueueBatch */
+  middleware?: Middleware[];
+  topology?: Topology & { dryRun?: boolean };
+  /** how delayed messages are held back: `ttl` queues (default) or the delayed message exchange `plugin` */
+  delayedMessages?: 'ttl' | 'plugin';
+}
+
+export interface TopologyExchange {
+  /** defaults to `topic` */
+  type?: 'direct' | 'fanout' | 'topic' | 'headers' | string;
+  durable?: boolean;
+  autoDelete?: boolean;
+  internal?: boolean;
+  alternateExchange?: string;
+  arguments?: Record<string, any>;
+  /** exchange-to-exchange bindings, this exchange receives messages from `source` */
+  bindings?: { source: string; routingKey?: string | string[]; arguments?: Record<string, any> }[];
+}
+
+export interface QueueArgumentOptions {
+  /** `x-queue-type` */
+  type?: 'quorum' | 'classic' | 'stream';
+  messageTtl?: number;
+  expires?: number;
+  maxLength?: number;
+  maxLengthBytes?: number;
+  overflow?: 'drop-head' | 'reject-publish' | 'reject-publish-dlx';
+  deadLetterExchange?: string;
+  deadLetterRoutingKey?: string;
+  deliveryLimit?: number;
+  singleActiveConsumer?: boolean;
+  maxPriority?: number;
+  arguments?: Record<string, any>;
+}
+
+export interface TopologyQueue extends QueueArgumentOptions {
+  durable?: boolean;
+  autoDelete?: boolean;
+  bindings?: { exchange: string; routingKey?: string | string[]; arguments?: Record<string, any> }[];
+}
+
+/** exchanges and queues by name, queues default to durable quorum queues */
+export interface Topology {
+  exchanges?: Record<string, TopologyExchange>;
+  queues?: Record<string, TopologyQueue>;
+}
+
+export interface TopologyMismatch {
+  type: 'exchange' | 'queue';
+  name: string;
+  /** `type`, `durable`, `autoDelete`, `internal` or an x-argument */
+  property: string;
+  topology: any;
+  asserted: any;
+  /** the asserting consumer or publisher, e.g. `workerQueue myService` */
+  by: string;
+}
+
+export interface TopologyDiff {
+  mismatches: TopologyMismatch[];
+  /** exchanges and queues asserted by consumers or publishers, but not declared in the topology */
+  undeclared: { type: 'exchange' | 'queue'; name: string; by: string }[];
+}
+
+export interface AbandonedMessage {
+  queue: string;
+  messageId?: string;
+  routingKey: string;
+}
+
+export interface AbandonedPublish {
+  exchange: string;
+  routingKey: string;
+  messageId?: string;
+}
+
+export interface ShutdownReport {
+  connection: string | null;
+  messages: AbandonedMessage[];
+  publishes: AbandonedPublish[];
+  outboxSize: number;
+}
+
+export type ShutdownReason = NodeJS.Signals | 'uncaughtException' | 'unhandledRejection' | 'beforeExit';
+
+export interface ShutdownConfig {
+  signals?: NodeJS.Signals[];
+  uncaughtException?: boolean;
+  unhandledRejection?: boolean;
+  beforeExit?: boolean;
+  exitOnSignal?: boolean;
+  exitOnCrash?: boolean;
+  exitCode?: number;
+  timeoutInSeconds?: number;
+  beforeShutdown?: (context: { reason: ShutdownReason; err?: any }) => void | Promise<void>;
+  afterShutdown?: (context: { reason: ShutdownReason; err?: any; reports: ShutdownReport[] }) => void | Promise<void>;
+  onAbandoned?: (report: ShutdownReport) => void | Promise<void>;
+}
+
+export interface ShutdownOptions {
+  timeout?: number;
+  onAbandoned?: (report: ShutdownReport) => void | Promise<void>;
+}
+
+export type LogMethod = (...args: any[]) => void;
+
+export interface LoggerTarget {
+  debug: LogMethod;
+  info: LogMethod;
+  warn: LogMethod;
+  error: LogMethod;
+}
+
+export interface OutboxEntry {
+  id: string;
+  exchange: string;
+  exchangeType: string;
+  durable: boolean;
+  routingKey: string;
+  content: string;
+  options: Options.Publish;
+  /** due time of a delayed message, which is routed through the delay topology when it is flushed */
+  deliverAt?: number;
+  createdAt: number;
+}
+
+export interface OutboxAdapter {
+  append(entry: OutboxEntry): Promise<void> | void;
+  list(limit: number): Promise<OutboxEntry[]> | OutboxEntry[];
+  remove(id: string): Promise<void> | void;
+  size(): Promise<number> | number;
+  /** keeps an entry that failed `maxAttempts` times, it is removed afterwards */
+  park?(entry: OutboxEntry, err: Error): Promise<void> | void;
+}
+
+export interface OutboxOptions {
+  path?: string;
+  /** default: the journal path with `.parked.jsonl` */
+  parkedPath?: string;
+  fsync?: boolean;
+  compactAfter?: number;
+  /** failed publishes while connected before an entry is parked, default 5 */
+  maxAttempts?: number;
+  adapter?: OutboxAdapter;
+}
+
+export declare class FileOutboxAdapter implements OutboxAdapter {
+  constructor(filePath: string, options?: { fsync?: boolean; compactAfter?: number; parkedPath?: string });
+  readonly filePath: string;
+  readonly parkedPath: string;
+  append(entry: OutboxEntry): Promise<void>;
+  list(limit: number): OutboxEntry[];
+  remove(id: string): Promise<void>;
+  size(): number;
+  park(entry: OutboxEntry, err: Error): Promise<void>;
+}
+
+export interface ValidationOptions {
+  publish?: boolean;
+  consume?: boolean;
+  spec?: string;
+  rejectQueue?: string;
+}
+
+export interface ValidationErrorDetail {
+  instancePath: string;
+  schemaPath: string;
+  keyword: string;
+  params: Record<string, any>;
+  message?: string;
+}
+
+export declare class ValidationError extends Error {
+  readonly exchange: string;
+  readonly routingKey: string;
+  readonly operationId: string;
+  readonly errors: ValidationErrorDetail[];
 }
 
 export interface SubscribeOptions {
@@ -17,6 +214,163 @@ export interface SubscribeOptions {
   durableExchange?: boolean;
   durableQueue?: boolean;
   exclusiveQueue?: boolean;
+  middleware?: Middleware[];
+}
+
+export interface RetryPolicy {
+  maxAttempts?: number;
+  initialDelay?: number;
+  multiplier?: number;
+  maxDelay?: number;
+  jitter?: number | boolean;
+  deadLetterQueue?: string;
+}
+
+export interface RequestOptions extends Options.Publish {
+  timeout?: number;
+  exchangeType?: string;
+  durable?: boolean;
+}
+
+export declare class RequestError extends Error {
+  readonly code: 'TIMEOUT' | 'UNROUTABLE' | 'REMOTE' | 'DISCONNECTED' | 'CLOSED';
+  readonly exchange?: string;
+  readonly routingKey?: string;
+}
+
+export type RespondHandler<Event = any, Reply = any> = (
+  event: Event,
+  properties: WorkerQueueMessageProperties,
+) => Promise<Reply> | Reply;
+
+export interface DeadLetterOptions {
+  exchange?: string;
+  queue?: string;
+}
+
+export interface DedupStore {
+  has(id: string): boolean | Promise<boolean>;
+  add(id: string, ttl?: number): void | Promise<void>;
+}
+
+export interface DedupOptions {
+  store?: DedupStore;
+  /** ms an id is remembered, defaults to 24 hours for the in-memory store */
+  ttl?: number;
+  /** size of the in-memory store, defaults to 10000 */
+  maxSize?: number;
+  /** defaults to `properties.messageId` */
+  key?: (event: any, properties: WorkerQueueMessageProperties) => string | undefined;
+}
+
+export declare class MemoryDedupStore implements DedupStore {
+  constructor(options?: { maxSize?: number; ttl?: number });
+  readonly size: number;
+  has(id: string): boolean;
+  add(id: string, ttl?: number): void;
+}
+
+export interface OffsetStore {
+  get(name: string): number | undefined | Promise<number | undefined>;
+  set(name: string, offset: number): void | Promise<void>;
+}
+
+export declare class MemoryOffsetStore implements OffsetStore {
+  get(name: string): number | undefined;
+  set(name: string, offset: number): void;
+}
+
+export declare class FileOffsetStore implements OffsetStore {
+  constructor(filePath: string);
+  readonly filePath: string;
+  get(name: string): number | undefined;
+  set(name: string, offset: number): Promise<void>;
+}
+
+export interface StreamConsumerOptions {
+  /** where to start without a stored offset, defaults to `next` */
+  offset?: 'first' | 'last' | 'next' | number | Date;
+  /** defaults to 100 */
+  prefetch?: number;
+  /** key of the offset in the store, defaults to the stream name */
+  name?: string;
+  /** defaults to a MemoryOffsetStore */
+  store?: OffsetStore;
+  /** queue arguments of the stream, e.g. `maxLengthBytes` */
+  queue?: Omit<QueueArgumentOptions, 'type'>;
+  consumer?: ConsumerOptions;
+  middleware?: Middleware[];
+}
+
+export interface ConsumerOptions {
+  /** `x-priority`, the broker delivers to the consumers with the highest priority first */
+  priority?: number;
+  /** consumer tag, generated by the broker by default */
+  tag?: string;
+  arguments?: Record<string, any>;
+}
+
+export interface WorkerQueueBatchOptions {
+  /** maximum number of messages per batch and prefetch, defaults to 100 */
+  size?: number;
+  /** ms to wait for a partial batch after its first message, defaults to 1000 */
+  timeout?: number;
+  retry?: boolean | RetryPolicy;
+  deadLetter?: boolean | DeadLetterOptions;
+  /** queue arguments, the queue is a quorum queue unless `type` says otherwise */
+  queue?: QueueArgumentOptions;
+  consumer?: ConsumerOptions;
+}
+
+export interface WorkerQueueOptions {
+  /** used when the options are passed in place of `prefetch`, defaults to 1 */
+  prefetch?: number;
+  /** queue arguments, the queue is a quorum queue unless `type` says otherwise */
+  queue?: QueueArgumentOptions;
+  consumer?: ConsumerOptions;
+  retry?: boolean | RetryPolicy;
+  deadLetter?: boolean | DeadLetterOptions;
+  middleware?: Middleware[];
+  dedup?: boolean | DedupOptions;
+  /** maximum number of handlers running at the same time, independent of prefetch */
+  concurrency?: number;
+  /** messages with the same key are handled one after another, in delivery order */
+  orderBy?: (
+    event: any,
+    properties: WorkerQueueMessageProperties,
+    fields: { exchange?: string; routingKey?: string },
+  ) => string | number | undefined | null;
+}
+
+export interface DeadLetter {
+  messageId?: string;
+  event: any;
+  properties: AmqpMessageProperties;
+  exchange?: string;
+  routingKey?: string;
+  failure: {
+    error?: string;
+    handler?: string;
+    attempts?: number;
+    timestamp?: number;
+    reason?: string;
+  };
+}
+
+export interface DeadLetterReplayOptions {
+  filter?: string | string[] | ((deadLetter: DeadLetter) => boolean);
+  limit?: number;
+  queue?: string;
+}
+
+export declare class DeadLetterQueue {
+  readonly queueName: string;
+  readonly deadLetterQueue: string;
+  count(): Promise<number>;
+  list(options?: { limit?: number }): Promise<DeadLetter[]>;
+  inspect(messageId: string, options?: { limit?: number }): Promise<DeadLetter | undefined>;
+  replay(options?: DeadLetterReplayOptions): Promise<number>;
+  purge(): Promise<number>;
 }
 
 export interface WorkerQueueMessageProperties extends AmqpMessageProperties {
@@ -35,25 +389,260 @@ export interface SubscribeNackFunction {
   (timeout?: number): void;
 }
 
-export type WorkerQueueHandler = (
-  event: any,
+export type WorkerQueueHandler<Event = any> = (
+  event: Event,
   properties: WorkerQueueMessageProperties,
   actions: { ack: AckFunction; nack: WorkerQueueNackFunction },
 ) => Promise<void> | void;
 
-export type SubscribeHandler = (
-  event: any,
+export interface BatchMessage<Event = any> {
+  event: Event;
+  properties: WorkerQueueMessageProperties;
+  exchange?: string;
+  routingKey?: string;
+  ack: AckFunction;
+  nack: WorkerQueueNackFunction;
+}
+
+/** `ack` and `nack` settle all messages of the batch that were not acked or nacked individually */
+export type BatchHandler<Event = any> = (
+  messages: BatchMessage<Event>[],
+  actions: { ack: AckFunction; nack: WorkerQueueNackFunction; queue: string },
+) => Promise<void> | void;
+
+export type StreamHandler<Event = any> = (
+  event: Event,
+  properties: AmqpMessageProperties,
+  actions: { ack: AckFunction; offset: number; queue: string; exchange?: string; routingKey?: string },
+) => Promise<void> | void;
+
+export type SubscribeHandler<Event = any> = (
+  event: Event,
   properties: AmqpMessageProperties,
   actions: { ack: AckFunction; nack: SubscribeNackFunction },
 ) => Promise<void> | void;
 
-export type PublishFunction = (
-  routingKey: string,
-  content: any,
+export interface ConsumerContext {
+  ack: AckFunction;
+  nack: WorkerQueueNackFunction | SubscribeNackFunction;
+  queue: string;
+  exchange?: string;
+  routingKey?: string;
+  /** stream offset of the message, for streamConsumer */
+  offset?: number;
+}
+
+export type Middleware = (
+  event: any,
+  properties: WorkerQueueMessageProperties | AmqpMessageProperties,
+  context: ConsumerContext,
+  next: () => Promise<any>,
+) => Promise<any> | any;
+
+export type PublishFunction<Exchange extends string = string> = (<RoutingKey extends string>(
+  routingKey: RoutingKey,
+  content: EventPayload<Exchange, RoutingKey>,
   type?: string,
   appID?: string,
-  options?: Options.Publish,
-) => Promise<boolean>;
+  options?: PublishOptions,
+) => Promise<boolean>) & {
+  /** in-flight publishes and circuit breaker state of the publish channel */
+  status(): PublisherHealth;
+};
+
+export interface PublishOptions extends Options.Publish {
+  /** ms until the message is delivered, up to 2^32 - 1 (49 days) */
+  delay?: number;
+  /** when the message is delivered, a Date or timestamp in ms */
+  deliverAt?: Date | number;
+}
+
+export interface PublishChannelOptions {
+  confirm?: boolean;
+  timeout?: number;
+  outbox?: boolean;
+  contentType?: string;
+  contentEncoding?: string;
+  /** publishes that may be buffered or wait for their confirm at the same time (default: unlimited) */
+  maxInFlight?: number;
+  /** whether publishes over `maxInFlight` or the rate limit fail right away or wait (default: 'reject') */
+  overflow?: 'reject' | 'wait';
+  /** ms a publish waits with `overflow: 'wait'` (default: `timeout`) */
+  waitTimeout?: number;
+  /** token bucket shared by the publish channels of the exchange */
+  rateLimit?: { perSecond: number; burst?: number };
+  circuitBreaker?: boolean | { failureThreshold?: number; resetTimeout?: number };
+}
+
+export declare class PublishError extends Error {
+  readonly code: 'NACK' | 'UNROUTABLE' | 'TIMEOUT' | 'MAX_IN_FLIGHT' | 'RATE_LIMITED' | 'CIRCUIT_OPEN';
+  readonly exchange: string;
+  readonly routingKey: string;
+  readonly messageId?: string;
+  readonly cause?: Error;
+}
+
+export interface Codec<T = any> {
+  encode(value: T): Buffer;
+  decode(content: Buffer): T;
+}
+
+export interface ContentEncoding {
+  encode(content: Buffer): Buffer;
+  decode(content: Buffer): Buffer;
+}
+
+export declare class CodecRegistry {
+  register(contentType: string, codec: Codec): this;
+  registerEncoding(contentEncoding: string, codec: ContentEncoding): this;
+  encode(value: any, properties?: { contentType?: string; contentEncoding?: string }): Buffer;
+  decode(content: Buffer, properties?: { contentType?: string; contentEncoding?: string }): any;
+}
+
+export declare class CodecError extends Error {
+  readonly contentType?: string;
+  readonly contentEncoding?: string;
+  readonly cause?: Error;
+}
+
+/** an exchange or queue was asserted with other properties than it exists with */
+export declare class TopologyError extends Error {
+  readonly code: 'PRECONDITION_FAILED';
+  /** the consumer, publisher or `topology` that asserted it */
+  readonly by: string;
+  readonly type?: 'exchange' | 'queue';
+  /** name of the exchange or queue */
+  readonly resource?: string;
+  readonly property?: string;
+  readonly asserted?: string;
+  readonly existing?: string;
+  readonly cause?: Error;
+}
+
+export declare class MemoryBroker {
+  checkQueue(name: string): { queue: string; messageCount: number; consumerCount: number };
+  reset(): void;
+}
+
+export interface PublishedMessage {
+  connection?: string;
+  exchange: string;
+  routingKey: string;
+  type?: string;
+  messageId?: string;
+  event: any;
+  content: Buffer;
+  properties: AmqpMessageProperties;
+  routed: boolean;
+  /** when a delayed message is due */
+  deliverAt?: number;
+  timestamp: number;
+}
+
+export interface ConsumedMessage {
+  queue: string;
+  exchange: string;
+  routingKey: string;
+  type?: string;
+  messageId?: string;
+  event: any;
+  properties: AmqpMessageProperties;
+  redelivered: boolean;
+  outcome: 'ack' | 'nack' | 'requeue';
+  timestamp: number;
+}
+
+export type MessageFilter<Record> = Partial<Record> | ((record: Record) => boolean);
+
+export interface Spy {
+  (...args: any[]): void;
+  readonly calls: any[][];
+  readonly called: boolean;
+}
+
+export interface InjectOptions {
+  connection?: string;
+  properties?: Partial<AmqpMessageProperties>;
+  redelivered?: boolean;
+}
+
+export interface InjectResult {
+  properties: WorkerQueueMessageProperties;
+  ack: Spy;
+  nack: Spy;
+  error?: any;
+}
+
+export interface TestHelpers {
+  published(filter?: MessageFilter<PublishedMessage>): PublishedMessage[];
+  consumed(filter?: MessageFilter<ConsumedMessage>): ConsumedMessage[];
+  waitForPublished(filter?: MessageFilter<PublishedMessage>, options?: { timeout?: number }): Promise<PublishedMessage>;
+  waitForConsumed(filter?: MessageFilter<ConsumedMessage>, options?: { timeout?: number }): Promise<ConsumedMessage>;
+  inject(queueName: string, event: any, options?: InjectOptions): Promise<InjectResult>;
+  reset(): void;
+}
+
+export interface MetricsRegistry {
+  readonly contentType: string;
+  render(): string;
+  reset(): void;
+  registerWith(promRegistry: { registerMetric(metric: any): void }): void;
+}
+
+export interface ConsumerHealth {
+  queue: string;
+  type: 'workerQueue' | 'workerQueueBatch' | 'streamConsumer' | 'subscribe';
+  state: 'starting' | 'consuming' | 'failed' | 'disconnected' | 'canceled' | 'closed';
+  error?: string;
+}
+
+export interface PublisherHealth {
+  exchange: string;
+  inFlight: number;
+  waiting: number;
+  circuit: 'closed' | 'open' | 'half-open' | null;
+  failures: number;
+}
+
+export interface ConnectionHealth {
+  name: string | null;
+  state: 'connecting' | 'connected' | 'disconnected' | 'closed';
+  lastConnectedAt: string | null;
+  lastDisconnectedAt: string | null;
+  downSince: string | null;
+  lastError: string | null;
+  consumers: ConsumerHealth[];
+  publishers: PublisherHealth[];
+  bufferedMessages: number;
+  outboxSize: number;
+}
+
+export interface HealthReport {
+  status: 'ok' | 'degraded' | 'down';
+  ready: boolean;
+  live: boolean;
+  shuttingDown: boolean;
+  connections: ConnectionHealth[];
+}
+
+export interface HealthOptions {
+  livenessTimeoutInSeconds?: number;
+}
+
+export interface HealthServerOptions extends HealthOptions {
+  port?: number;
+  host?: string;
+  livenessPath?: string;
+  readinessPath?: string;
+}
+
+export interface GenerateTypesOptions {
+  spec?: string;
+  moduleName?: string;
+}
+
+export declare function generateTypes(options?: GenerateTypesOptions): string;
+export declare function writeTypes(options: GenerateTypesOptions & { out: string }): string;
 
 export declare class AmqpConnection {
   constructor(options?: ConnectionOptions);
@@ -62,35 +651,76 @@ export declare class AmqpConnection {
 
   isReachable(): Promise<boolean>;
 
-  workerQueue(
+  health(): Promise<ConnectionHealth>;
+
+  use(...middleware: Middleware[]): this;
+
+  applyTopology(topology: Topology, options?: { dryRun?: boolean }): Promise<TopologyDiff>;
+
+  diffTopology(topology?: Topology): TopologyDiff;
+
+  workerQueue<Exchange extends string, Binding extends string>(
     queueName: string,
-    exchange: string,
-    bindings: string[],
-    handler: WorkerQueueHandler,
-    prefetch?: number,
+    exchange: Exchange,
+    bindings: Binding[],
+    handler: WorkerQueueHandler<EventPayload<Exchange, Binding>>,
+    prefetch?: number | WorkerQueueOptions,
+    options?: WorkerQueueOptions,
+  ): Promise<ChannelWrapper>;
+
+  workerQueueBatch<Exchange extends string, Binding extends string>(
+    queueName: string,
+    exchange: Exchange,
+    bindings: Binding[],
+    handler: BatchHandler<EventPayload<Exchange, Binding>>,
+    options?: WorkerQueueBatchOptions,
+  ): Promise<ChannelWrapper>;
+
+  streamConsumer<Exchange extends string, Binding extends string>(
+    streamName: string,
+    exchange: Exchange,
+    bindings: Binding[],
+    handler: StreamHandler<EventPayload<Exchange, Binding>>,
+    options?: StreamConsumerOptions,
   ): Promise<ChannelWrapper>;
 
-  subscribe(
+  subscribe<Exchange extends string, Binding extends string>(
     queueNamePrefix: string,
-    exchange: string,
-    bindings: string[],
-    handler: SubscribeHandler,
+    exchange: Exchange,
+    bindings: Binding[],
+    handler: SubscribeHandler<EventPayload<Exchange, Binding>>,
     options?: SubscribeOptions,
   ): Promise<ChannelWrapper>;
 
+  request<Reply = any>(exchange: string, routingKey: string, payload: any, options?: RequestOptions): Promise<Reply>;
+
+  respond<Exchange extends string, Binding extends string>(
+    queueName: string,
+    exchange: Exchange,
+    bindings: Binding[],
+    handler: RespondHandler<EventPayload<Exchange, Binding>>,
+    prefetch?: number | WorkerQueueOptions,
+    options?: WorkerQueueOptions,
+  ): Promise<ChannelWrapper>;
+
+  deadLetterQueue(queueName: string, options?: { queue?: string }): DeadLetterQueue;
+
+  outboxSize(): Promise<number>;
+
   plainChannel(
     exchange: string,
     exchangeType?: string,
     durable?: boolean,
   ): ChannelWrapper;
 
-  publishChannel(
-    exchange: string,
+  publishChannel<Exchange extends string>(
+    exchange: Exchange,
     exchangeType?: string,
     durable?: boolean,
-  ): Promise<PublishFunction>;
+    options?: PublishChannelOptions,
+  ): Promise<PublishFunction<Exchange>>;
 
-  close(): Promise<void>;
+  close(options?: ShutdownOptions): Promise<ShutdownReport | undefined>;
 }
 
 export declare function createConnection(options: ConnectionOptions): AmqpConnection;
@@ -100,34 +730,94 @@ export declare function getConnection(name: string): AmqpConnection;
 
 export declare function isReachable(): Promise<boolean>;
 
-export declare function workerQueue(
+export declare function use(...middleware: Middleware[]): AmqpConnection;
+
+export declare function applyTopology(topology: Topology, options?: { dryRun?: boolean }): Promise<TopologyDiff>;
+
+export declare function diffTopology(topology?: Topology): TopologyDiff;
+
+export declare function health(options?: HealthOptions): Promise<HealthReport>;
+
+export declare function serveHealth(options?: HealthServerOptions): Promise<import('http').Server>;
+
+export declare function workerQueue<Exchange extends string, Binding extends string>(
   queueName: string,
-  exchange: string,
-  bindings: string[],
-  handler: WorkerQueueHandler,
-  prefetch?: number,
+  exchange: Exchange,
+  bindings: Binding[],
+  handler: WorkerQueueHandler<EventPayload<Exchange, Binding>>,
+  prefetch?: number | WorkerQueueOptions,
+  options?: WorkerQueueOptions,
+): Promise<ChannelWrapper>;
+
+export declare function workerQueueBatch<Exchange extends string, Binding extends string>(
+  queueName: string,
+  exchange: Exchange,
+  bindings: Binding[],
+  handler: BatchHandler<EventPayload<Exchange, Binding>>,
+  options?: WorkerQueueBatchOptions,
+): Promise<ChannelWrapper>;
+
+export declare function streamConsumer<Exchange extends string, Binding extends string>(
+  streamName: string,
+  exchange: Exchange,
+  bindings: Binding[],
+  handler: StreamHandler<EventPayload<Exchange, Binding>>,
+  options?: StreamConsumerOptions,
 ): Promise<ChannelWrapper>;
 
-export declare function subscribe(
+export declare function subscribe<Exchange extends string, Binding extends string>(
   queueNamePrefix: string,
-  exchange: string,
-  bindings: string[],
-  handler: SubscribeHandler,
+  exchange: Exchange,
+  bindings: Binding[],
+  handler: SubscribeHandler<EventPayload<Exchange, Binding>>,
   options?: SubscribeOptions,
 ): Promise<ChannelWrapper>;
 
+export declare function request<Reply = any>(
+  exchange: string,
+  routingKey: string,
+  payload: any,
+  options?: RequestOptions,
+): Promise<Reply>;
+
+export declare function respond<Exchange extends string, Binding extends string>(
+  queueName: string,
+  exchange: Exchange,
+  bindings: Binding[],
+  handler: RespondHandler<EventPayload<Exchange, Binding>>,
+  prefetch?: number | WorkerQueueOptions,
+  options?: WorkerQueueOptions,
+): Promise<ChannelWrapper>;
+
+export declare function deadLetterQueue(queueName: string, options?: { queue?: string }): DeadLetterQueue;
+
+export declare function outboxSize(): Promise<number>;
+
 export declare function plainChannel(
   exchange: string,
   exchangeType?: string,
   durable?: boolean,
 ): ChannelWrapper;
 
-export declare function publishChannel(
-  exchange: string,
+export declare function publishChannel<Exchange extends string>(
+  exchange: Exchange,
   exchangeType?: string,
   durable?: boolean,
-): Promise<PublishFunction>;
+  options?: PublishChannelOptions,
+): Promise<PublishFunction<Exchange>>;
 
 export declare const connectionManager: AmqpConnectionManager;
 
-export declare function gracefulShutdown(): Promise<void>;
+export declare function setLogger(logger: LoggerTarget | false | undefined): void;
+
+export declare const codecs: CodecRegistry;
+
+export declare const memoryBroker: MemoryBroker;
+
+export declare const testing: TestHelpers;
+
+export declare const metrics: MetricsRegistry;
+
+export declare function gracefulShutdown(options?: ShutdownOptions): Promise<ShutdownReport[]>;
+
+export declare function configureShutdown(options: ShutdownConfig): ShutdownConfig;
@@ -7,6 +7,53 @@ const config = require('config');
 const amqpManager = require('amqp-connection-manager');
 const { v4: uuid } = require('uuid');
 const { name: product, version } = require('./package.json');
+const { ValidationError, createValidator, normalizeOptions: normalizeValidationOptions } = require('./lib/validation');
+const { generateTypes, writeTypes } = require('./lib/typegen');
+const headers = require('./lib/headers');
+const { normalizeRetryPolicy, retryDelay, retryQueueName, retryCount, originalFields } = require('./lib/retry');
+const { DeadLetterQueue, normalizeDeadLetterOptions, failureHeaders } = require('./lib/deadLetter');
+const { RpcClient, RequestError } = require('./lib/rpc');
+const { PublishError, trackReturns, confirmedPublish } = require('./lib/confirm');
+const { Outbox, FileOutboxAdapter, normalizeOutboxOptions } = require('./lib/outbox');
+const { normalizePublishLimits, TokenBucket, PublishLimiter } = require('./lib/backpressure');
+const { MemoryBroker, MemoryConnectionManager } = require('./lib/memoryBroker');
+const { createTestHelpers } = require('./lib/testing');
+const { metricsRegistry, metrics } = require('./lib/metrics');
+const { tracePublish, traceConsume } = require('./lib/tracing');
+const { Logger, rootLogger } = require('./lib/logger');
+const { ConsumerStatus, aggregate: aggregateHealth, createHealthServer } = require('./lib/health');
+const { waitUntil, withDeadline } = require('./lib/drain');
+const { ShutdownHandlers } = require('./lib/shutdown');
+const { CodecError, codecs } = require('./lib/codecs');
+const { compose } = require('./lib/middleware');
+const { MemoryDedupStore, normalizeDedupOptions } = require('./lib/dedup');
+const { Batch, normalizeBatchOptions } = require('./lib/batch');
+const { normalizeSchedulerOptions } = require('./lib/scheduler');
+const {
+  MemoryOffsetStore,
+  FileOffsetStore,
+  OffsetTracker,
+  normalizeStreamOptions,
+  streamOffsetArgument,
+} = require('./lib/streams');
+const {
+  normalizeDelayedMessages,
+  messageDelay,
+  delayExchange,
+  delayTopology,
+  delayedOptions,
+} = require('./lib/delay');
+const {
+  TopologyError,
+  setupError,
+  normalizeExchange,
+  normalizeQueue,
+  normalizeTopology,
+  mergeTopologies,
+  isEmpty: isEmptyTopology,
+  assertTopology,
+  diffTopology: compareTopology,
+} = require('./lib/topology');
 
 // init default config
 const ourConfigDir = path.join(__dirname, 'config');
@@ -21,6 +68,19 @@ function shuffleArray(array) {
   return array;
 }
 
+function isoDate(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+function describeDelivery(queue, message) {
+  return { queue, messageId: message.properties.messageId, routingKey: message.fields.routingKey };
+}
+
+// the `consumer` option of workerQueue: consumer priority (x-priority), tag and further consumer arguments
+function workerConsumeOptions({ priority, tag, arguments: args } = {}) {
+  return { exclusive: false, priority, consumerTag: tag, arguments: args };
+}
+
 const connectionRegistry = new Set();
 const namedConnections = new Map();
 
@@ -28,7 +88,33 @@ class AmqpConnection {
   constructor(options = {}) {
     this._shuttingDown = false;
     this._neverConnected = true;
-    this._logLabel = options.connectionName ? `[ec.amqp:${options.connectionName}]` : '[ec.amqp]';
+    this._createdAt = Date.now();
+    this._connectionName = options.connectionName;
+    this._metricsLabels = { connection: options.connectionName || 'unnamed' };
+    // handlers by queue name (or subscribe prefix) for testing.inject(), consumer channels; a queue may have several
+    this._handlers = new Map();
+    this._consumers = new Set();
+    this._publishChannels = new Set();
+    // backpressure of each publish channel, token buckets shared by the publish channels of an exchange
+    this._publishers = new Set();
+    this._tokenBuckets = new Map();
+    // resolves with the delay mechanism once the plugin was probed
+    this._delayProbe = undefined;
+    // deliveries whose consume callback is running, deliveries not acked or nacked yet, publishes not sent yet
+    this._handling = new Map();
+    this._unsettled = new Map();
+    this._publishing = new Set();
+    this._deferred = new Set();
+    this._batches = new Set();
+    this._offsetTrackers = new Set();
+    // what consumers and publishers assert, by consumer, compared with the declared topology
+    this._declarations = new Map();
+    this._topology = normalizeTopology();
+    this._onAbandoned = options.onAbandoned;
+    this._middleware = [...(options.middleware || [])];
+    this._logger = (options.logger === undefined ? rootLogger : new Logger(options.logger)).child({
+      connection: options.connectionName,
+    });
 
     const {
       hosts = [],
@@ -38,17 +124,26 @@ class AmqpConnection {
       vhost = '',
       heartbeatIntervalInSeconds = 60,
       reconnectTimeInSeconds = 10,
+      drainTimeoutInSeconds = 10,
+      validation,
+      outbox,
+      topology,
+      delayedMessages,
     } = options;
 
-    const encodedUser = encodeURIComponent(user);
-    const encodedPassword = encodeURIComponent(password);
-    const vhostPath = vhost ? `/${encodeURIComponent(vhost)}` : '';
-    const connectionURLs = shuffleArray(
-      hosts.map((host) => `amqp${tls ? 's' : ''}://${encodedUser}:${encodedPassword}@${host}${vhostPath}`),
-    );
-
-    const redactedURLs = connectionURLs.map((url) => url.replace(/\/\/[^@]+@/, '//***:***@'));
-    console.log(this._logLabel, 'trying to connect...', JSON.stringify({ connectionURLs: redactedURLs }));
+    this._drainTimeout = drainTimeoutInSeconds * 1000;
+    this._delayedMessages = normalizeDelayedMessages(delayedMessages);
+    this._validation = normalizeValidationOptions(validation);
+    if (this._validation.publish || this._validation.consume) {
+      this._validator = createValidator(this._validation.spec, {
+        onUndescribed: (exchange, routingKey) => {
+          this._logger.warn('no channel in the spec describes this routing key, payload not validated', {
+            exchange,
+            routingKey,
+          });
+        },
+      });
+    }
 
     let clientProperties;
     if (process.env.HOSTNAME) {
@@ -59,35 +154,76 @@ class AmqpConnection {
       };
     }
 
-    this._connectionManager = amqpManager.connect(connectionURLs, {
-      json: true,
-      heartbeatIntervalInSeconds,
-      reconnectTimeInSeconds,
-      connectionOptions: {
-        clientProperties,
-      },
-    });
+    if (options.connectionManager) {
+      // testing mode passes a manager connected to the in-memory broker
+      this._connectionManager = options.connectionManager;
+    } else {
+      const encodedUser = encodeURIComponent(user);
+      const encodedPassword = encodeURIComponent(password);
+      const vhostPath = vhost ? `/${encodeURIComponent(vhost)}` : '';
+      const connectionURLs = shuffleArray(
+        hosts.map((host) => `amqp${tls ? 's' : ''}://${encodedUser}:${encodedPassword}@${host}${vhostPath}`),
+      );
+
+      const redactedURLs = connectionURLs.map((url) => url.replace(/\/\/[^@]+@/, '//***:***@'));
+      this._logger.info(`trying to connect to ${redactedURLs.join(', ')}`, { urls: redactedURLs });
+
+      this._connectionManager = amqpManager.connect(connectionURLs, {
+        json: true,
+        heartbeatIntervalInSeconds,
+        reconnectTimeInSeconds,
+        connectionOptions: {
+          clientProperties,
+        },
+      });
+    }
 
+    const clientName = clientProperties ? clientProperties.connection_name : undefined;
     this._connectionManager.on('connect', (c) => {
-      console.log(
-        this._logLabel,
-        `connected to ${c.url.replace(/\/\/[^@]+@/, '//***:***@')} (${clientProperties ? clientProperties.connection_name : 'no hostname'})`,
-      );
+      const url = c.url.replace(/\/\/[^@]+@/, '//***:***@');
+      this._logger.info(`connected to ${url} (${clientName || 'no hostname'})`, { url, clientName });
       this._neverConnected = false;
+      this._lastConnectedAt = Date.now();
+      metrics.connects.inc(this._metricsLabels);
     });
     this._connectionManager.on('connectFailed', (err) => {
-      console.error(this._logLabel, 'connect failed:', err);
+      this._logger.error('connect failed', { err });
+      this._lastError = String(err.message || err);
+      metrics.connectFailures.inc(this._metricsLabels);
     });
     this._connectionManager.on('disconnect', ({ err }) => {
-      console.warn(
-        this._logLabel,
-        `disconnected (${hosts.join('|')}) (${clientProperties ? clientProperties.connection_name : 'no hostname'})`,
-      );
+      metrics.disconnects.inc(this._metricsLabels);
+      this._lastDisconnectedAt = Date.now();
       if (err) {
-        console.warn(this._logLabel, 'disconnect reason:', err.message, err.stack, JSON.stringify(err));
+        this._lastError = String(err.message || err);
       }
+      this._logger.warn(`disconnected (${hosts.join('|')}) (${clientName || 'no hostname'})`, {
+        hosts,
+        clientName,
+        err,
+      });
     });
 
+    if (topology) {
+      if (topology.dryRun) {
+        // not asserted, consumers and publishers that assert something else are logged
+        this._topology = normalizeTopology(topology);
+      } else {
+        this.applyTopology(topology).catch((err) => {
+          this._logger.error('could not apply topology', { err });
+        });
+      }
+    }
+
+    const outboxOptions = normalizeOutboxOptions(outbox, options.connectionName);
+    if (outboxOptions) {
+      this._outbox = new Outbox(
+        this._connectionManager,
+        Object.assign({ delayMechanism: () => this._delayMechanism() }, outboxOptions),
+        this._logger,
+      );
+    }
+
     connectionRegistry.add(this);
   }
 
@@ -97,7 +233,7 @@ class AmqpConnection {
 
   async isReachable() {
     if (this._shuttingDown) {
-      console.info(this._logLabel, 'is shutting down');
+      this._logger.info('is shutting down');
       return false;
     }
     if (this._connectionManager.isConnected()) {
@@ -113,76 +249,928 @@ class AmqpConnection {
     throw new Error('amqp is not connected');
   }
 
-  async workerQueue(queueName, exchange, bindings, handler, prefetch = 1) {
+  // connection state, consumer channels and unsent messages, see lib/health.js
+  async health() {
+    let state = 'disconnected';
+    if (this._shuttingDown) {
+      state = 'closed';
+    } else if (this._connectionManager.isConnected()) {
+      state = 'connected';
+    } else if (this._neverConnected) {
+      state = 'connecting';
+    }
+    const connected = state === 'connected';
+    return {
+      name: this._connectionName || null,
+      state,
+      lastConnectedAt: isoDate(this._lastConnectedAt),
+      lastDisconnectedAt: isoDate(this._lastDisconnectedAt),
+      downSince: connected ? null : isoDate(this._lastDisconnectedAt || this._createdAt),
+      lastError: this._lastError || null,
+      consumers: [...this._consumers].map((consumer) => consumer.report(connected)),
+      publishers: [...this._publishers].map((publisher) => publisher.report()),
+      bufferedMessages: [...this._publishChannels].reduce((sum, wrapper) => sum + wrapper.queueLength(), 0),
+      outboxSize: await this.outboxSize(),
+    };
+  }
+
+  /**
+   * Asserts exchanges, queues and bindings now and on every reconnect. Resolves with the differences to what
+   * consumers and publishers of this connection assert; with `dryRun`, nothing is asserted.
+   */
+  async applyTopology(topology, { dryRun = false } = {}) {
+    const normalized = normalizeTopology(topology);
+    const merged = mergeTopologies(this._topology, normalized);
+    if (dryRun) {
+      return compareTopology(merged, this._declaredBy());
+    }
+    this._topology = merged;
+    this._warnMismatches(compareTopology(normalized, this._declaredBy()));
+    if (!this._topologyChannel) {
+      this._topologyChannel = this._connectionManager.createChannel({ name: 'topology' });
+      this._topologyChannel.on('error', (err) => {
+        this._logger.error('could not apply topology', { err });
+      });
+    }
+    if (!isEmptyTopology(normalized)) {
+      await this._topologyChannel.addSetup((channel) =>
+        Promise.all(assertTopology(channel, normalized)).catch((err) => {
+          throw setupError(err, 'topology');
+        }),
+      );
+    }
+    return this.diffTopology();
+  }
+
+  // compares a topology (by default the applied one) with what consumers and publishers assert
+  diffTopology(topology) {
+    return compareTopology(topology ? normalizeTopology(topology) : this._topology, this._declaredBy());
+  }
+
+  _declaredBy() {
+    return [...this._declarations].map(([by, topology]) => ({ topology, by }));
+  }
+
+  // remembers what a consumer or publisher asserts; a mismatch with the topology fails with PRECONDITION_FAILED
+  _declare(topology, by) {
+    if (!this._declarations.has(by)) {
+      this._warnMismatches(compareTopology(this._topology, [{ topology, by }]));
+    }
+    this._declarations.set(by, topology);
+    return topology;
+  }
+
+  _warnMismatches({ mismatches }) {
+    mismatches.forEach((mismatch) => {
+      const { type, name, property, topology, asserted, by } = mismatch;
+      const value = (v) => (v === undefined ? 'none' : `'${v}'`);
+      this._logger.warn(
+        `topology mismatch: ${by} asserts ${type} '${name}' with ${property} ${value(asserted)},` +
+          ` topology declares ${value(topology)}`,
+        mismatch,
+      );
+    });
+  }
+
+  _addHandler(queueName, registered) {
+    if (!this._handlers.has(queueName)) {
+      this._handlers.set(queueName, []);
+    }
+    this._handlers.get(queueName).push(registered);
+  }
+
+  // adds consumer middleware for all workerQueue, respond, streamConsumer and subscribe handlers of this connection
+  use(...middleware) {
+    this._middleware.push(...middleware);
+    return this;
+  }
+
+  // runs connection and consumer middleware around the handler, middleware added later with use() included
+  _pipeline(handler, middleware = []) {
+    return (event, properties, context) =>
+      compose([...this._middleware, ...middleware], handler)(event, properties, context);
+  }
+
+  // wraps a consume callback to keep track of deliveries whose callback is still running
+  _tracked(queueName, onMessage) {
+    return async (message) => {
+      if (!message) {
+        return onMessage(message);
+      }
+      this._handling.set(message, describeDelivery(queueName, message));
+      try {
+        return await onMessage(message);
+      } finally {
+        this._handling.delete(message);
+      }
+    };
+  }
+
+  // runs `fn` after `timeout` ms, or right away once the connection drains
+  _defer(fn, timeout) {
+    if (this._draining) {
+      fn();
+      return;
+    }
+    let timer;
+    const run = () => {
+      clearTimeout(timer);
+      this._deferred.delete(run);
+      return fn();
+    };
+    timer = setTimeout(run, timeout);
+    this._deferred.add(run);
+  }
+
+  // returns false if the incoming event was rejected by payload validation
+  async _checkIncoming(channelWrapper, message, event, noAck = false) {
+    if (!this._validation.consume) {
+      return true;
+    }
+    const { exchange, routingKey } = originalFields(message);
+    try {
+      this._validator.validate(exchange, routingKey, event);
+      return true;
+    } catch (err) {
+      if (!(err instanceof ValidationError)) {
+        throw err;
+      }
+      this._logger.error(`rejected invalid event: ${err.message}`, {
+        exchange,
+        routingKey,
+        messageId: message.properties.messageId,
+      });
+      const { rejectQueue } = this._validation;
+      if (rejectQueue) {
+        try {
+          await channelWrapper.sendToQueue(
+            rejectQueue,
+            message.content,
+            Object.assign({}, message.properties, {
+              headers: Object.assign({}, message.properties.headers, {
+                [headers.VALIDATION_ERROR]: err.message,
+                [headers.ORIGINAL_EXCHANGE]: exchange,
+                [headers.ORIGINAL_ROUTING_KEY]: routingKey,
+              }),
+            }),
+          );
+        } catch (rejectErr) {
+          this._logger.error(`could not move invalid event to ${rejectQueue}`, {
+            exchange,
+            routingKey,
+            messageId: message.properties.messageId,
+            err: rejectErr,
+          });
+        }
+      }
+      if (!noAck) {
+        channelWrapper.nack(message, false, false);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Counts a delivery as consumed and, unless `noAck`, in flight, then decodes and validates it. Resolves with
+   * the event and `settle()`, which ends tracking it, or undefined if the message was undecodable or invalid
+   * and has been dealt with. `onSettled` runs when a tracked delivery is settled.
+   */
+  async _receive(channelWrapper, message, { consumer, labels, noAck = false, onSettled = () => {} }) {
+    metrics.messagesConsumed.inc(labels);
+    // noAck deliveries are settled by the broker on delivery
+    let inFlight = !noAck;
+    if (inFlight) {
+      metrics.messagesInFlight.inc(labels);
+      this._unsettled.set(message, describeDelivery(consumer.queueName, message));
+    }
+    const settle = () => {
+      if (inFlight) {
+        inFlight = false;
+        metrics.messagesInFlight.dec(labels);
+        this._unsettled.delete(message);
+        onSettled();
+      }
+    };
+    let event;
+    try {
+      event = codecs.decode(message.content, message.properties);
+    } catch (err) {
+      settle();
+      await this._undecodable(channelWrapper, message, consumer, err, noAck);
+      return undefined;
+    }
+    if (!(await this._checkIncoming(channelWrapper, message, event, noAck))) {
+      settle();
+      return undefined;
+    }
+    return { event, settle, isSettled: () => !inFlight };
+  }
+
+  // the queues the delivery path of a consumer sends to: the reject queue of payload validation, and the delay
+  // queues and dead-letter queue of its retry policy
+  _sideQueues({ queueName, retryPolicy, deadLetter }) {
+    const queues = [];
+    if (this._validation.consume && this._validation.rejectQueue) {
+      queues.push(normalizeQueue(this._validation.rejectQueue, { type: 'quorum' }));
+    }
+    if (retryPolicy) {
+      for (let attempt = 1; attempt < retryPolicy.maxAttempts; attempt += 1) {
+        queues.push(
+          normalizeQueue(retryQueueName(queueName, attempt), {
+            type: 'classic',
+            deadLetterExchange: '',
+            deadLetterRoutingKey: queueName,
+          }),
+        );
+      }
+      if (!deadLetter) {
+        queues.push(normalizeQueue(retryPolicy.deadLetterQueue, { type: 'quorum' }));
+      }
+    }
+    return queues;
+  }
+
+  // declares queues on a channel of its own: a queue that exists with other arguments fails that channel with
+  // PRECONDITION_FAILED, while a consumer channel would only be reopened on the next reconnect
+  async _assertQueues(queues) {
+    const channelWrapper = this._connectionManager.createChannel({});
+    try {
+      await channelWrapper.waitForConnect();
+      await channelWrapper.addSetup((channel) =>
+        Promise.all(assertTopology(channel, { exchanges: [], queues, bindings: [] })),
+      );
+    } finally {
+      await channelWrapper.close();
+    }
+  }
+
+  // on consumer setup; failing to declare them is logged, the consumer still starts
+  async _assertSideQueues(consumer, logger) {
+    const queues = this._sideQueues(consumer);
+    if (!queues.length) {
+      return;
+    }
+    try {
+      await this._assertQueues(queues);
+    } catch (err) {
+      logger.error('could not declare the retry, dead-letter or reject queues', {
+        queues: queues.map(({ name }) => name),
+        err,
+      });
+    }
+  }
+
+  // publishes a failed message with failure metadata to the dead-letter exchange of its workerQueue
+  async _deadLetter(channelWrapper, message, consumer, err, attempts) {
+    const { routingKey } = originalFields(message);
+    await channelWrapper.publish(
+      consumer.deadLetter.exchange,
+      routingKey,
+      message.content,
+      Object.assign({}, message.properties, {
+        headers: failureHeaders(message, { err, handlerName: consumer.handlerName, attempts }),
+        expiration: undefined,
+      }),
+    );
+    channelWrapper.ack(message);
+  }
+
+  // dead-letters a message that will not be retried, via the dead-letter exchange or the retry policy's queue
+  async _giveUp(channelWrapper, message, consumer, err, attempt) {
+    const { queueName, retryPolicy: policy } = consumer;
+    if (consumer.deadLetter) {
+      this._logger.error(`giving up after ${attempt} attempts, dead-lettering message`, {
+        queue: queueName,
+        messageId: message.properties.messageId,
+      });
+      return this._deadLetter(channelWrapper, message, consumer, err, attempt);
+    }
+    this._logger.error(`giving up after ${attempt} attempts, moving message to ${policy.deadLetterQueue}`, {
+      queue: queueName,
+      messageId: message.properties.messageId,
+    });
+    await channelWrapper.sendToQueue(
+      policy.deadLetterQueue,
+      message.content,
+      Object.assign({}, message.properties, {
+        headers: failureHeaders(message, { err, handlerName: consumer.handlerName, attempts: attempt }),
+        expiration: undefined,
+      }),
+    );
+    return channelWrapper.ack(message);
+  }
+
+  // undecodable messages skip retries; without a dead-letter destination they are nacked without requeue
+  async _undecodable(channelWrapper, message, consumer, err, noAck = false) {
+    const deadLettered = !noAck && (consumer.deadLetter || consumer.retryPolicy);
+    // nacked messages are dropped by the broker, unless the queue has a dead-letter exchange
+    const outcome = deadLettered ? 'dead-lettering it' : 'nacking it without requeue';
+    this._logger.error(`could not decode message, ${noAck ? 'skipping it' : outcome}: ${err.message}`, {
+      queue: consumer.queueName,
+      messageId: message.properties.messageId,
+      routingKey: message.fields.routingKey,
+    });
+    if (noAck) {
+      return undefined;
+    }
+    if (deadLettered) {
+      // requeueing would only decode it again; without requeue the broker dead-letters it if it can
+      return this._giveUp(channelWrapper, message, consumer, err, retryCount(message) + 1).catch(
+        (giveUpErr) => {
+          this._logger.error('could not dead-letter undecodable message, nacking it', {
+            queue: consumer.queueName,
+            messageId: message.properties.messageId,
+            err: giveUpErr,
+          });
+          channelWrapper.nack(message, false, false);
+        },
+      );
+    }
+    return channelWrapper.nack(message, false, false);
+  }
+
+  // moves a failed message to the next delay queue, or dead-letters it once attempts are exhausted
+  async _retry(channelWrapper, message, consumer, err) {
+    const { queueName, retryPolicy: policy } = consumer;
+    const attempt = retryCount(message) + 1;
+    if (attempt >= policy.maxAttempts) {
+      return this._giveUp(channelWrapper, message, consumer, err, attempt);
+    }
+
+    const { exchange, routingKey } = originalFields(message);
+    const retryHeaders = Object.assign({}, message.properties.headers, {
+      [headers.RETRY_COUNT]: attempt,
+      [headers.ORIGINAL_EXCHANGE]: exchange,
+      [headers.ORIGINAL_ROUTING_KEY]: routingKey,
+    });
+    if (err) {
+      retryHeaders[headers.FAILURE_ERROR] = String(err.message || err);
+    }
+    await channelWrapper.sendToQueue(
+      retryQueueName(queueName, attempt),
+      message.content,
+      Object.assign({}, message.properties, {
+        headers: retryHeaders,
+        expiration: String(retryDelay(policy, attempt)),
+      }),
+    );
+    return channelWrapper.ack(message);
+  }
+
+  // moves a failed message to its retry or dead-letter queue, or requeues it if that is not possible
+  _fail(channelWrapper, message, consumer, err) {
+    const failed = consumer.retryPolicy
+      ? this._retry(channelWrapper, message, consumer, err)
+      : this._deadLetter(channelWrapper, message, consumer, err);
+    return failed.catch((failErr) => {
+      this._logger.error('workerQueue could not move failed message', {
+        queue: consumer.queueName,
+        messageId: message.properties.messageId,
+        err: failErr,
+      });
+      channelWrapper.nack(message, false, true);
+    });
+  }
+
+  // nacks after `timeout` ms (optionally moving the message to `redirectQueue`), requeues go through the retry policy,
+  // nacks without requeue of a workerQueue with `deadLetter` are dead-lettered with failure headers like handler errors
+  _nack(channelWrapper, message, consumer, timeout, requeue, redirectQueue) {
+    if (consumer.retryPolicy && requeue && !redirectQueue) {
+      this._fail(channelWrapper, message, consumer);
+      return;
+    }
+    this._defer(async () => {
+      try {
+        if (redirectQueue) {
+          await this._assertQueues([normalizeQueue(redirectQueue, { type: 'quorum' })]);
+          await channelWrapper.sendToQueue(redirectQueue, message.content, message.properties);
+        } else if (consumer.deadLetter && !requeue) {
+          await this._deadLetter(channelWrapper, message, consumer, undefined, retryCount(message) + 1);
+          return;
+        }
+        channelWrapper.nack(message, false, requeue);
+      } catch (err) {
+        // a message that could not be redirected or dead-lettered is requeued rather than dropped
+        this._logger.error('workerQueue could not nack message', {
+          queue: consumer.queueName,
+          messageId: message.properties.messageId,
+          redirectQueue,
+          err,
+        });
+        channelWrapper.nack(message, false, true);
+      }
+    }, timeout);
+  }
+
+  // the exchange, queue and bindings of a worker queue, with its dead-letter exchange and queue
+  _workerQueueTopology(queueName, exchange, bindings, deadLetter, queueOptions = {}) {
+    const queue = Object.assign({ type: 'quorum' }, queueOptions);
+    if (deadLetter) {
+      if (queue.deadLetterExchange !== undefined && queue.deadLetterExchange !== deadLetter.exchange) {
+        throw new Error(
+          `ec.amqp: workerQueue ${queueName} queue.deadLetterExchange conflicts with deadLetter.exchange` +
+            ` '${deadLetter.exchange}'`,
+        );
+      }
+      queue.deadLetterExchange = deadLetter.exchange;
+    }
+    const topology = {
+      exchanges: [normalizeExchange(exchange, { type: 'topic' })],
+      queues: [normalizeQueue(queueName, queue)],
+      bindings: bindings.map((pattern) => ({
+        destinationType: 'queue',
+        destination: queueName,
+        source: exchange,
+        pattern,
+      })),
+    };
+    if (deadLetter) {
+      topology.exchanges.unshift(normalizeExchange(deadLetter.exchange, { type: 'fanout' }));
+      topology.queues.unshift(normalizeQueue(deadLetter.queue, { type: 'quorum' }));
+      topology.bindings.unshift({
+        destinationType: 'queue',
+        destination: deadLetter.queue,
+        source: deadLetter.exchange,
+        pattern: '',
+      });
+    }
+    return topology;
+  }
+
+  // messages without a key, or whose key cannot be determined, are not ordered
+  _orderingKey({ orderBy }, event, properties, fields, logger) {
+    if (!orderBy) {
+      return undefined;
+    }
+    try {
+      const key = orderBy(event, properties, fields);
+      return key === null ? undefined : key;
+    } catch (err) {
+      logger.error('workerQueue could not determine ordering key', { messageId: properties.messageId, err });
+      return undefined;
+    }
+  }
+
+  // messages whose dedup key cannot be determined are processed without deduplication
+  _dedupKey(dedup, event, properties, logger) {
+    if (!dedup) {
+      return undefined;
+    }
+    try {
+      return dedup.key(event, properties);
+    } catch (err) {
+      logger.error('workerQueue could not determine dedup key', { messageId: properties.messageId, err });
+      return undefined;
+    }
+  }
+
+  // an unavailable dedup store must not stop consumption, the message is processed in that case
+  async _isDuplicate(dedup, key, logger) {
+    try {
+      return Boolean(await dedup.store.has(key));
+    } catch (err) {
+      logger.error('workerQueue could not check dedup store', { err });
+      return false;
+    }
+  }
+
+  async workerQueue(queueName, exchange, bindings, handler, prefetch = 1, options = {}) {
+    if (typeof prefetch === 'object') {
+      return this.workerQueue(queueName, exchange, bindings, handler, prefetch.prefetch, prefetch);
+    }
+    const consumer = {
+      queueName,
+      handlerName: handler.name,
+      retryPolicy: normalizeRetryPolicy(options.retry, queueName),
+      deadLetter: normalizeDeadLetterOptions(options.deadLetter, queueName),
+    };
+    const { retryPolicy, deadLetter } = consumer;
+    const dedup = normalizeDedupOptions(options.dedup, queueName);
+    const ordering = normalizeSchedulerOptions(options);
+    const handle = this._pipeline(handler, options.middleware);
+    this._addHandler(queueName, { handler: handle, workerQueue: true });
+    const by = `workerQueue ${queueName}`;
+    const topology = this._declare(
+      this._workerQueueTopology(queueName, exchange, bindings, deadLetter, options.queue),
+      by,
+    );
+    const connection = this;
+    const logger = this._logger.child({ queue: queueName });
+    const labels = Object.assign({ queue: queueName }, this._metricsLabels);
+    const consumerStatus = new ConsumerStatus(queueName, 'workerQueue', logger);
+    this._consumers.add(consumerStatus);
     const channelWrapper = this._connectionManager.createChannel({
       setup(channel) {
+        consumerStatus.starting();
+        if (ordering) {
+          // waiting deliveries of a closed channel can no longer be acked, the broker redelivers them
+          ordering.scheduler.discard();
+          channel.once('close', () => ordering.scheduler.discard());
+        }
         return Promise.all([
-          channel.assertExchange(exchange, 'topic', { durable: true }),
-          channel.assertQueue(queueName, {
-            durable: true,
-            arguments: {
-              'x-queue-type': 'quorum',
-            },
-          }),
+          ...assertTopology(channel, topology),
+          connection._assertSideQueues(consumer, logger),
           channel.prefetch(prefetch),
-          ...bindings.map((binding) => channel.bindQueue(queueName, exchange, binding)),
-          channel.consume(
+          consumerStatus.consume(
+            channel,
             queueName,
-            async (message) => {
+            connection._tracked(queueName, async (message) => {
               if (!message) {
                 throw new Error('consumer was canceled!');
               }
-              const event = JSON.parse(message.content.toString());
+              const received = await connection._receive(channelWrapper, message, { consumer, labels });
+              if (!received) {
+                return;
+              }
+              const { event, settle: settled } = received;
               const properties = Object.assign({}, message.properties, { redelivered: message.fields.redelivered });
-              const ack = () => channelWrapper.ack(message);
-              const nack = (timeout = 10000, requeue = false, redirectQueue) => {
-                setTimeout(async () => {
+              const fields = originalFields(message);
+              const processMessage = async () => {
+                const dedupKey = connection._dedupKey(dedup, event, properties, logger);
+                if (dedupKey !== undefined && (await connection._isDuplicate(dedup, dedupKey, logger))) {
+                  logger.debug('workerQueue skipping already processed message', {
+                    messageId: message.properties.messageId,
+                  });
+                  metrics.messagesDeduplicated.inc(labels);
+                  settled();
+                  channelWrapper.ack(message);
+                  return;
+                }
+                const ack = () => {
+                  metrics.messagesAcked.inc(labels);
+                  settled();
+                  channelWrapper.ack(message);
+                  if (dedupKey !== undefined) {
+                    // marked only after ack, a lost mark means a duplicate run rather than a lost message
+                    Promise.resolve()
+                      .then(() => dedup.store.add(dedupKey, dedup.ttl))
+                      .catch((err) => {
+                        logger.error('workerQueue could not mark message as processed', {
+                          messageId: message.properties.messageId,
+                          err,
+                        });
+                      });
+                  }
+                };
+                const fail = (err) => {
+                  settled();
+                  return connection._fail(channelWrapper, message, consumer, err);
+                };
+                const nack = (timeout = 10000, requeue = false, redirectQueue) => {
+                  metrics.messagesNacked.inc(Object.assign({ requeue: String(requeue) }, labels));
                   if (redirectQueue) {
-                    await channel.assertQueue(redirectQueue, {
-                      durable: true,
-                      arguments: {
-                        'x-queue-type': 'quorum',
-                      },
-                    });
-                    await channelWrapper.sendToQueue(redirectQueue, message.content, message.properties);
+                    metrics.messagesRedirected.inc(Object.assign({ redirect_queue: redirectQueue }, labels));
                   }
-                  return channelWrapper.nack(message, false, requeue);
-                }, timeout);
+                  settled();
+                  connection._nack(channelWrapper, message, consumer, timeout, requeue, redirectQueue);
+                };
+                const observeDuration = metrics.handlerDuration.startTimer(labels);
+                try {
+                  await traceConsume(Object.assign({ queue: queueName, message }, fields), () =>
+                    handle(event, properties, Object.assign({ ack, nack, queue: queueName }, fields)),
+                  );
+                  observeDuration();
+                } catch (err) {
+                  observeDuration();
+                  metrics.handlerErrors.inc(labels);
+                  logger.error('workerQueue handler error', {
+                    exchange,
+                    routingKey: message.fields.routingKey,
+                    messageId: message.properties.messageId,
+                    err,
+                  });
+                  if (retryPolicy || deadLetter) {
+                    await fail(err);
+                  } else {
+                    nack(10000, true);
+                  }
+                }
               };
-              const logLabel = this._logLabel;
-              try {
-                await handler(event, properties, {
-                  ack,
-                  nack,
-                });
-              } catch (err) {
-                console.error(logLabel, 'workerQueue handler error:', err);
-                nack(10000, true);
+              if (ordering) {
+                // valid deliveries pass _receive() with the same awaits, so they are scheduled in delivery order
+                const key = connection._orderingKey(ordering, event, properties, fields, logger);
+                await ordering.scheduler.run(key, processMessage, settled);
+              } else {
+                await processMessage();
               }
-            },
-            { exclusive: false },
+            }),
+            workerConsumeOptions(options.consumer),
           ),
-        ]);
+        ]).catch((err) => {
+          throw setupError(err, by);
+        });
       },
     });
+    consumerStatus.watch(channelWrapper);
     return channelWrapper;
   }
 
+  /**
+   * Like workerQueue, but the handler is called with up to `size` messages at once, or with the messages
+   * received within `timeout` ms. Batches are handled one after another, prefetch is the batch size.
+   */
+  async workerQueueBatch(queueName, exchange, bindings, handler, options = {}) {
+    const { size, timeout } = normalizeBatchOptions(options);
+    const consumer = {
+      queueName,
+      handlerName: handler.name,
+      retryPolicy: normalizeRetryPolicy(options.retry, queueName),
+      deadLetter: normalizeDeadLetterOptions(options.deadLetter, queueName),
+    };
+    const { retryPolicy, deadLetter } = consumer;
+    // injected test messages are handled as a batch of one
+    this._addHandler(queueName, {
+      handler: (event, properties, context) => handler([Object.assign({ event, properties }, context)], context),
+      workerQueue: true,
+    });
+    const by = `workerQueueBatch ${queueName}`;
+    const topology = this._declare(
+      this._workerQueueTopology(queueName, exchange, bindings, deadLetter, options.queue),
+      by,
+    );
+    const connection = this;
+    const logger = this._logger.child({ queue: queueName });
+    const labels = Object.assign({ queue: queueName }, this._metricsLabels);
+    const consumerStatus = new ConsumerStatus(queueName, 'workerQueueBatch', logger);
+    this._consumers.add(consumerStatus);
+    const batch = new Batch({ size, timeout }, async (items) => {
+      const messages = items.map((item) => item.message);
+      const unsettled = () => items.filter((item) => !item.isSettled());
+      const context = {
+        ack: () => unsettled().forEach((item) => item.message.ack()),
+        nack: (...args) => unsettled().forEach((item) => item.message.nack(...args)),
+        queue: queueName,
+      };
+      const observeDuration = metrics.handlerDuration.startTimer(labels);
+      try {
+        await handler(messages, context);
+        observeDuration();
+      } catch (err) {
+        observeDuration();
+        metrics.handlerErrors.inc(labels);
+        logger.error('workerQueueBatch handler error', {
+          exchange,
+          messageIds: messages.map((message) => message.properties.messageId),
+          err,
+        });
+        await Promise.all(unsettled().map((item) => item.fail(err)));
+      }
+    });
+    this._batches.add(batch);
+    const channelWrapper = this._connectionManager.createChannel({
+      setup(channel) {
+        consumerStatus.starting();
+        // deliveries of the previous channel can no longer be acked, the broker redelivers them
+        batch.discard().forEach((item) => item.discard());
+        return Promise.all([
+          ...assertTopology(channel, topology),
+          connection._assertSideQueues(consumer, logger),
+          channel.prefetch(size),
+          consumerStatus.consume(
+            channel,
+            queueName,
+            connection._tracked(queueName, async (message) => {
+              if (!message) {
+                throw new Error('consumer was canceled!');
+              }
+              const received = await connection._receive(channelWrapper, message, { consumer, labels });
+              if (!received) {
+                return;
+              }
+              const { event, settle: settled, isSettled } = received;
+              const ack = () => {
+                if (isSettled()) {
+                  return;
+                }
+                metrics.messagesAcked.inc(labels);
+                settled();
+                channelWrapper.ack(message);
+              };
+              const nack = (nackTimeout = 10000, requeue = false, redirectQueue) => {
+                if (isSettled()) {
+                  return;
+                }
+                metrics.messagesNacked.inc(Object.assign({ requeue: String(requeue) }, labels));
+                if (redirectQueue) {
+                  metrics.messagesRedirected.inc(Object.assign({ redirect_queue: redirectQueue }, labels));
+                }
+                settled();
+                connection._nack(channelWrapper, message, consumer, nackTimeout, requeue, redirectQueue);
+              };
+              const fail = (err) => {
+                settled();
+                if (retryPolicy || deadLetter) {
+                  return connection._fail(channelWrapper, message, consumer, err);
+                }
+                return connection._nack(channelWrapper, message, consumer, 10000, true);
+              };
+              const properties = Object.assign({}, message.properties, { redelivered: message.fields.redelivered });
+              batch.add({
+                message: Object.assign({ event, properties, ack, nack }, originalFields(message)),
+                isSettled,
+                fail,
+                discard: settled,
+              });
+              if (connection._draining) {
+                batch.flush();
+              }
+            }),
+            workerConsumeOptions(options.consumer),
+          ),
+        ]).catch((err) => {
+          throw setupError(err, by);
+        });
+      },
+    });
+    consumerStatus.watch(channelWrapper);
+    return channelWrapper;
+  }
+
+  /**
+   * Consumes a stream queue from `offset`, or after the last offset processed by a consumer of the same
+   * `name`. Processed offsets are kept in the offset `store`; a stream keeps its messages, so a failed
+   * handler is logged and its message skipped.
+   */
+  async streamConsumer(streamName, exchange, bindings, handler, options = {}) {
+    const { offset, prefetch, name, store } = normalizeStreamOptions(options, streamName);
+    const handle = this._pipeline(handler, options.middleware);
+    this._addHandler(streamName, { handler: handle, workerQueue: false });
+    const by = `streamConsumer ${streamName}`;
+    const queue = Object.assign({}, options.queue, { type: 'stream' });
+    const topology = this._declare(this._workerQueueTopology(streamName, exchange, bindings, undefined, queue), by);
+    const connection = this;
+    const logger = this._logger.child({ queue: streamName });
+    const labels = Object.assign({ queue: streamName }, this._metricsLabels);
+    const consumerStatus = new ConsumerStatus(streamName, 'streamConsumer', logger);
+    this._consumers.add(consumerStatus);
+    const tracker = new OffsetTracker(store, name, (err, failedOffset) => {
+      logger.error('streamConsumer could not store offset', { offset: failedOffset, err });
+    });
+    this._offsetTrackers.add(tracker);
+    const channelWrapper = this._connectionManager.createChannel({
+      setup(channel) {
+        consumerStatus.starting();
+        tracker.reset();
+        const onMessage = connection._tracked(streamName, async (message) => {
+          if (!message) {
+            throw new Error('consumer was canceled!');
+          }
+          const streamOffset = (message.properties.headers || {})['x-stream-offset'];
+          const received = await connection._receive(channelWrapper, message, {
+            consumer: { queueName: streamName },
+            labels,
+            onSettled: tracker.delivered(streamOffset),
+          });
+          if (!received) {
+            return;
+          }
+          const { event, settle: settled, isSettled } = received;
+          const ack = () => {
+            if (isSettled()) {
+              return;
+            }
+            metrics.messagesAcked.inc(labels);
+            settled();
+            channelWrapper.ack(message);
+          };
+          const observeDuration = metrics.handlerDuration.startTimer(labels);
+          try {
+            const fields = originalFields(message);
+            await traceConsume(Object.assign({ queue: streamName, message }, fields), () =>
+              handle(
+                event,
+                message.properties,
+                Object.assign({ ack, offset: streamOffset, queue: streamName }, fields),
+              ),
+            );
+            observeDuration();
+          } catch (err) {
+            observeDuration();
+            metrics.handlerErrors.inc(labels);
+            logger.error('streamConsumer handler error, skipping message', {
+              exchange,
+              routingKey: message.fields.routingKey,
+              messageId: message.properties.messageId,
+              offset: streamOffset,
+              err,
+            });
+            ack();
+          }
+        });
+        return Promise.all([
+          ...assertTopology(channel, topology),
+          connection._assertSideQueues({ queueName: streamName }, logger),
+          channel.prefetch(prefetch),
+          tracker.resumeOffset().then((resumeOffset) =>
+            consumerStatus.consume(
+              channel,
+              streamName,
+              onMessage,
+              Object.assign(workerConsumeOptions(options.consumer), {
+                arguments: Object.assign({}, Object(options.consumer).arguments, {
+                  'x-stream-offset': streamOffsetArgument(resumeOffset === undefined ? offset : resumeOffset),
+                }),
+              }),
+            ),
+          ),
+        ]).catch((err) => {
+          throw setupError(err, by);
+        });
+      },
+    });
+    consumerStatus.watch(channelWrapper);
+    return channelWrapper;
+  }
+
+  async request(exchange, routingKey, payload, options) {
+    if (!this._rpcClient) {
+      this._rpcClient = new RpcClient(this._connectionManager, this._logger);
+    }
+    return this._rpcClient.request(exchange, routingKey, payload, options);
+  }
+
+  // like workerQueue, but the handler's return value is sent back to the requester
+  async respond(queueName, exchange, bindings, handler, prefetch = 1, options = {}) {
+    const logger = this._logger.child({ queue: queueName });
+    let channelWrapper;
+    const replyingHandler = async (event, properties, { ack }) => {
+      let reply = null;
+      let replyHeaders;
+      try {
+        const result = await handler(event, properties);
+        if (result !== undefined) {
+          reply = result;
+        }
+      } catch (err) {
+        logger.error('respond handler error', { messageId: properties.messageId, err });
+        replyHeaders = { [headers.REPLY_ERROR]: String(err.message || err) };
+      }
+      if (properties.replyTo) {
+        // replies are encoded like the request
+        let format = { contentType: properties.contentType || 'application/json' };
+        if (properties.contentEncoding) {
+          format.contentEncoding = properties.contentEncoding;
+        }
+        let content;
+        try {
+          content = codecs.encode(reply, format);
+        } catch (err) {
+          logger.error('could not encode reply', { messageId: properties.messageId, err });
+          format = { contentType: 'application/json' };
+          content = codecs.encode(null, format);
+          replyHeaders = { [headers.REPLY_ERROR]: err.message };
+        }
+        await channelWrapper.sendToQueue(
+          properties.replyTo,
+          content,
+          Object.assign({ correlationId: properties.correlationId, headers: replyHeaders }, format),
+        );
+      }
+      ack();
+    };
+    Object.defineProperty(replyingHandler, 'name', { value: handler.name });
+    channelWrapper = await this.workerQueue(queueName, exchange, bindings, replyingHandler, prefetch, options);
+    return channelWrapper;
+  }
+
+  deadLetterQueue(queueName, options) {
+    return new DeadLetterQueue(this._connectionManager, queueName, options);
+  }
+
   async subscribe(queueNamePrefix, exchange, bindings, handler, options = {}) {
+    const handle = this._pipeline(handler, options.middleware);
+    this._addHandler(queueNamePrefix, { handler: handle, workerQueue: false });
+    const connection = this;
+    const logger = this._logger.child({ queue: queueNamePrefix });
+    // queue names are unique per instance, the prefix keeps the label cardinality low
+    const labels = Object.assign({ queue: queueNamePrefix }, this._metricsLabels);
+    const consumerStatus = new ConsumerStatus(queueNamePrefix, 'subscribe', logger);
+    this._consumers.add(consumerStatus);
+    let exchangeType = 'topic';
+    if (options.exchangeType) {
+      exchangeType = options.exchangeType;
+    }
+    const durableExchange = 'durableExchange' in options ? options.durableExchange : true;
+    // the queue name is unique per channel, only the exchange is shared
+    this._declare(
+      {
+        exchanges: [normalizeExchange(exchange, { type: exchangeType, durable: durableExchange })],
+        queues: [],
+        bindings: [],
+      },
+      `subscribe ${queueNamePrefix}`,
+    );
     const channelWrapper = this._connectionManager.createChannel({
       setup(channel) {
+        consumerStatus.starting();
         const queueName = `${queueNamePrefix}-${uuid()}`;
         let consumeOptions;
         if (options.noAck) {
           consumeOptions = { noAck: true };
         }
-        let exchangeType = 'topic';
-        if (options.exchangeType) {
-          exchangeType = options.exchangeType;
-        }
         return Promise.all([
           channel.assertExchange(exchange, exchangeType, {
-            durable: 'durableExchange' in options ? options.durableExchange : true,
+            durable: durableExchange,
           }),
           channel.assertQueue(queueName, {
             durable: 'durableQueue' in options ? options.durableQueue : false,
@@ -192,81 +1180,344 @@ class AmqpConnection {
             },
           }),
           ...bindings.map((binding) => channel.bindQueue(queueName, exchange, binding)),
-          channel.consume(
+          connection._assertSideQueues({ queueName: queueNamePrefix }, logger),
+          consumerStatus.consume(
+            channel,
             queueName,
-            async (message) => {
+            connection._tracked(queueName, async (message) => {
               if (!message) {
                 throw new Error('consumer was canceled!');
               }
-              const event = JSON.parse(message.content.toString());
-              const ack = () => channelWrapper.ack(message);
+              const received = await connection._receive(channelWrapper, message, {
+                consumer: { queueName },
+                labels,
+                noAck: options.noAck,
+              });
+              if (!received) {
+                return;
+              }
+              const { event, settle: settled } = received;
+              const ack = () => {
+                metrics.messagesAcked.inc(labels);
+                settled();
+                channelWrapper.ack(message);
+              };
               const nack = (timeout = 10000) => {
-                setTimeout(() => {
+                metrics.messagesNacked.inc(Object.assign({ requeue: 'true' }, labels));
+                settled();
+                connection._defer(() => {
                   channelWrapper.nack(message);
                 }, timeout);
               };
-              const logLabel = this._logLabel;
+              const observeDuration = metrics.handlerDuration.startTimer(labels);
               try {
-                await handler(event, message.properties, {
-                  ack,
-                  nack,
-                });
+                const fields = originalFields(message);
+                await traceConsume(Object.assign({ queue: queueName, message }, fields), () =>
+                  handle(event, message.properties, Object.assign({ ack, nack, queue: queueNamePrefix }, fields)),
+                );
+                observeDuration();
               } catch (err) {
-                console.error(logLabel, 'subscribe handler error:', err);
+                observeDuration();
+                metrics.handlerErrors.inc(labels);
+                logger.error('subscribe handler error', {
+                  exchange,
+                  routingKey: message.fields.routingKey,
+                  messageId: message.properties.messageId,
+                  err,
+                });
                 nack(10000);
               }
-            },
+            }),
             Object.assign({}, { exclusive: true }, consumeOptions),
           ),
-        ]);
+        ]).catch((err) => {
+          throw setupError(err, `subscribe ${queueNamePrefix}`);
+        });
       },
     });
+    consumerStatus.watch(channelWrapper);
     return channelWrapper;
   }
 
   plainChannel(exchange, exchangeType = 'topic', durable = true) {
     if (typeof exchangeType === 'function') {
-      console.error(this._logLabel, 'plainChannel `channelCallback` has been removed in v0.8.0');
+      this._logger.error('plainChannel `channelCallback` has been removed in v0.8.0', { exchange });
       exchangeType = 'topic'; // eslint-disable-line no-param-reassign
     }
-    return this._connectionManager.createChannel({
+    this._declare(
+      { exchanges: [normalizeExchange(exchange, { type: exchangeType, durable })], queues: [], bindings: [] },
+      `plainChannel ${exchange}`,
+    );
+    // publish() on a confirm channel resolves once the broker acked the message and rejects if it nacked it
+    const channelWrapper = this._connectionManager.createChannel({
+      confirm: true,
       setup(channel) {
         return channel.assertExchange(exchange, exchangeType, { durable });
       },
     });
+    this._publishChannels.add(channelWrapper);
+    channelWrapper.on('close', () => this._publishChannels.delete(channelWrapper));
+    return channelWrapper;
   }
 
-  async publishChannel(exchange, exchangeType, durable) {
+  async publishChannel(exchange, exchangeType, durable, channelOptions = {}) {
+    const limits = normalizePublishLimits(channelOptions);
     const channelWrapper = this.plainChannel(exchange, exchangeType, durable);
-    return async function publish(routingKey, content, type, appID, options) {
-      return channelWrapper.publish(
-        exchange,
-        routingKey,
-        Buffer.from(JSON.stringify(content)),
-        Object.assign(
-          {
-            persistent: true,
-            contentType: 'application/json',
-            messageId: uuid(),
-            type: 'event',
-            appId: 'unknown',
-            timestamp: new Date().getTime(),
-          },
-          { type, appId: appID },
-          options,
-        ),
+    const validator = this._validation.publish ? this._validator : undefined;
+    const { confirm = false, timeout = 10000 } = channelOptions;
+    const returned = confirm ? trackReturns(channelWrapper) : undefined;
+    // confirm channels resolve with the broker's confirm, so they publish directly
+    const outbox = channelOptions.outbox === false || confirm ? undefined : this._outbox;
+    const labels = Object.assign({ exchange }, this._metricsLabels);
+    const connection = this;
+    const limiter = new PublishLimiter(exchange, limits, {
+      bucket: limits.rateLimit && this._tokenBucket(exchange, limits.rateLimit),
+      onRejected: (code) => metrics.publishesRejected.inc(Object.assign({ reason: code.toLowerCase() }, labels)),
+      onInFlight: (change) => metrics.publishesInFlight.inc(labels, change),
+      onCircuitChange: (state, previous) => {
+        const log = state === 'closed' ? 'info' : 'warn';
+        this._logger[log](`publish circuit breaker ${state}`, { exchange });
+        if (previous === 'closed' || state === 'closed') {
+          metrics.publishCircuitsOpen.inc(labels, state === 'closed' ? -1 : 1);
+        }
+      },
+    });
+    this._publishers.add(limiter);
+    channelWrapper.on('close', () => this._publishers.delete(limiter));
+    let delaySetup;
+    // the delay exchanges and queues are asserted with the first delayed message, then on every reconnect;
+    // resolves with the delay mechanism. A setup that failed is removed, so it does not fail each reconnect
+    const assertDelayTopology = () => {
+      if (!delaySetup) {
+        delaySetup = this._delayMechanism().then((mechanism) => {
+          const topology = delayTopology(mechanism, exchange);
+          const setup = (channel) => Promise.all(assertTopology(channel, topology));
+          return channelWrapper.addSetup(setup).then(
+            () => mechanism,
+            async (err) => {
+              await channelWrapper.removeSetup(setup);
+              throw err;
+            },
+          );
+        });
+        delaySetup.catch(() => {
+          delaySetup = undefined;
+        });
+      }
+      return delaySetup;
+    };
+    const send = async (routingKey, content, type, appID, options = {}) => {
+      if (validator) {
+        validator.validate(exchange, routingKey, content);
+      }
+      const delay = messageDelay(options);
+      // the outbox routes delayed messages through the delay topology when it flushes them
+      const mechanism = delay === undefined || outbox ? undefined : await assertDelayTopology();
+      const publishOptions = Object.assign(
+        {
+          persistent: true,
+          contentType: channelOptions.contentType || 'application/json',
+          contentEncoding: channelOptions.contentEncoding,
+          messageId: uuid(),
+          type: 'event',
+          appId: 'unknown',
+          timestamp: new Date().getTime(),
+        },
+        { type, appId: appID },
+        options,
       );
+      if (!publishOptions.contentEncoding) {
+        delete publishOptions.contentEncoding;
+      }
+      delete publishOptions.delay;
+      delete publishOptions.deliverAt;
+      const buffer = codecs.encode(content, publishOptions);
+      const pending = { exchange, routingKey, messageId: publishOptions.messageId };
+      connection._publishing.add(pending);
+      let release;
+      try {
+        release = await limiter.acquire(Object.assign({}, pending));
+      } catch (err) {
+        connection._publishing.delete(pending);
+        throw err;
+      }
+      return tracePublish(exchange, routingKey, publishOptions, (tracedOptions) => {
+        // delayed messages go to the delay exchange, which passes them on to `exchange` when they are due
+        const target =
+          mechanism === undefined
+            ? {
+                exchange: normalizeExchange(exchange, { type: exchangeType || 'topic', durable: durable !== false }),
+                options: tracedOptions,
+              }
+            : {
+                exchange: delayExchange(mechanism),
+                options: delayedOptions(mechanism, exchange, routingKey, tracedOptions, delay),
+              };
+        if (outbox) {
+          return outbox.add({
+            id: uuid(),
+            exchange: target.exchange.name,
+            exchangeType: target.exchange.type,
+            durable: target.exchange.durable,
+            exchangeArguments: target.exchange.arguments,
+            routingKey,
+            content: buffer.toString('base64'),
+            options: target.options,
+            deliverAt: delay === undefined ? undefined : Date.now() + delay,
+            createdAt: Date.now(),
+          });
+        }
+        if (confirm) {
+          return confirmedPublish(
+            channelWrapper,
+            returned,
+            target.exchange.name,
+            routingKey,
+            buffer,
+            target.options,
+            timeout,
+          );
+        }
+        return channelWrapper.publish(target.exchange.name, routingKey, buffer, target.options);
+      })
+        .then(
+          (result) => {
+            release();
+            return result;
+          },
+          (err) => {
+            release(err);
+            throw err;
+          },
+        )
+        .finally(() => connection._publishing.delete(pending));
     };
+    const publish = async function publish(routingKey, content, type, appID, options) {
+      try {
+        const result = await send(routingKey, content, type, appID, options);
+        metrics.messagesPublished.inc(labels);
+        if (options && (options.delay !== undefined || options.deliverAt !== undefined)) {
+          metrics.messagesDelayed.inc(labels);
+        }
+        return result;
+      } catch (err) {
+        metrics.publishFailures.inc(labels);
+        throw err;
+      }
+    };
+    publish.status = () => limiter.report();
+    return publish;
   }
 
-  async close() {
+  // 'plugin' if delayedMessages is 'plugin' and the delayed message exchange plugin is installed, otherwise 'ttl'
+  _delayMechanism() {
+    if (!this._delayProbe) {
+      this._delayProbe = this._delayedMessages === 'plugin' ? this._probeDelayPlugin() : Promise.resolve('ttl');
+    }
+    return this._delayProbe;
+  }
+
+  // declares the plugin's exchange once, on a channel of its own. Without the plugin, RabbitMQ rejects the
+  // exchange type with COMMAND_INVALID and closes the connection, which reconnects once; the result is kept
+  async _probeDelayPlugin() {
+    const channelWrapper = this._connectionManager.createChannel({});
+    const { name, type, durable, arguments: args } = delayExchange('plugin');
+    try {
+      await channelWrapper.waitForConnect();
+      await channelWrapper.assertExchange(name, type, { durable, arguments: args });
+      return 'plugin';
+    } catch (err) {
+      this._logger.warn('delayed message exchange plugin is not available, delaying messages with TTL queues', {
+        err,
+      });
+      return 'ttl';
+    } finally {
+      await channelWrapper.close().catch(() => {});
+    }
+  }
+
+  // the publish channels of an exchange share one token bucket, configured by the first of them
+  _tokenBucket(exchange, rateLimit) {
+    if (!this._tokenBuckets.has(exchange)) {
+      this._tokenBuckets.set(exchange, new TokenBucket(rateLimit));
+    }
+    const bucket = this._tokenBuckets.get(exchange);
+    if (bucket.perSecond !== rateLimit.perSecond || bucket.burst !== rateLimit.burst) {
+      this._logger.warn('publishChannel rateLimit differs from the rate limit of the exchange, which is kept', {
+        exchange,
+      });
+    }
+    return bucket;
+  }
+
+  // number of messages persisted in the outbox that were not confirmed by the broker yet
+  async outboxSize() {
+    return this._outbox ? this._outbox.size() : 0;
+  }
+
+  /**
+   * Cancels all consumers, waits up to `timeout` ms for running handlers, unsettled messages and
+   * pending publishes, then runs delayed nacks right away. Resolves with what is still pending.
+   */
+  async _drain(timeout) {
+    const deadline = Date.now() + timeout;
+    this._draining = true;
+    await Promise.all([...this._consumers].map((consumer) => consumer.cancel()));
+    // partial batches are handled right away instead of waiting for their timeout
+    this._batches.forEach((batch) => batch.flush());
+    await waitUntil(() => !this._handling.size && !this._unsettled.size, deadline);
+    await withDeadline(Promise.all([...this._offsetTrackers].map((tracker) => tracker.committed())), deadline);
+    const deferred = [...this._deferred].map((run) =>
+      Promise.resolve()
+        .then(run)
+        .catch((err) => this._logger.error('delayed nack failed during shutdown', { err })),
+    );
+    await withDeadline(Promise.all(deferred), deadline);
+    if (this._outbox) {
+      await withDeadline(this._outbox.flush(), deadline);
+    }
+    await waitUntil(() => !this._publishing.size, deadline);
+    return {
+      connection: this._connectionName || null,
+      messages: [...new Map([...this._handling, ...this._unsettled]).values()],
+      publishes: [...this._publishing],
+      outboxSize: await this.outboxSize(),
+    };
+  }
+
+  async close({ timeout = this._drainTimeout, onAbandoned = this._onAbandoned } = {}) {
     if (this._shuttingDown) {
       return Promise.resolve();
     }
     this._shuttingDown = true;
-    return this._connectionManager.close().catch((err) => {
-      console.error(this._logLabel, 'Error during graceful shutdown:', err);
+    const report = await this._drain(timeout);
+    if (report.messages.length || report.publishes.length) {
+      this._logger.warn(
+        `shutdown abandoned ${report.messages.length} in-flight messages and ${report.publishes.length} publishes`,
+        { messages: report.messages, publishes: report.publishes },
+      );
+      if (onAbandoned) {
+        try {
+          await onAbandoned(report);
+        } catch (err) {
+          this._logger.error('onAbandoned hook failed', { err });
+        }
+      }
+    }
+    if (this._outbox) {
+      await this._outbox.close().catch((err) => {
+        this._logger.error('Error while closing outbox', { err });
+      });
+    }
+    if (this._rpcClient) {
+      await this._rpcClient.close().catch((err) => {
+        this._logger.error('Error while closing request channel', { err });
+      });
+    }
+    await this._connectionManager.close().catch((err) => {
+      this._logger.error('Error during graceful shutdown', { err });
     });
+    return report;
   }
 }
 
@@ -276,7 +1527,7 @@ function createConnection(name, options) {
     process.env.NODE_ENV === 'testing' || (opts && opts.active === false);
 
   if (useMock) {
-    const mock = createMockConnection(typeof name === 'object' ? undefined : name);
+    const mock = createMockConnection(typeof name === 'object' ? undefined : name, opts);
     if (typeof name === 'object') {
       return mock;
     }
@@ -307,30 +1558,20 @@ function getConnection(name) {
   return connection;
 }
 
-function createMockConnection(connectionName) {
-  const logLabel = connectionName ? `[ec.amqp:${connectionName}]` : '[ec.amqp]';
-  console.warn(logLabel, 'ec.amqp is in testing mode and not attempting to connect to RabbitMQ.');
-  const mockConnectionManager = {
-    isConnected: () => true,
-    createChannel: () => ({ publish: () => {}, addSetup: () => Promise.resolve() }),
-    close: () => Promise.resolve(),
-  };
-  return {
-    _shuttingDown: false,
-    connectionManager: mockConnectionManager,
-    isReachable: () => Promise.resolve(true),
-    workerQueue: () => Promise.resolve(mockConnectionManager.createChannel()),
-    subscribe: () => Promise.resolve(mockConnectionManager.createChannel()),
-    plainChannel: () => mockConnectionManager.createChannel(),
-    publishChannel: () => Promise.resolve(() => {}),
-    close() {
-      if (this._shuttingDown) return Promise.resolve();
-      this._shuttingDown = true;
-      return this.connectionManager.close().catch((err) => {
-        console.error(logLabel, 'Error during graceful shutdown:', err);
-      });
-    },
-  };
+const memoryBroker = new MemoryBroker();
+
+// a regular AmqpConnection that talks to the shared in-memory broker instead of RabbitMQ
+function createMockConnection(connectionName, options = {}) {
+  const logger = (options.logger === undefined ? rootLogger : new Logger(options.logger)).child({
+    connection: connectionName,
+  });
+  logger.warn('ec.amqp is in testing mode and uses an in-memory broker instead of RabbitMQ.');
+  return new AmqpConnection(
+    Object.assign({}, options, {
+      connectionName,
+      connectionManager: new MemoryConnectionManager(memoryBroker, connectionName),
+    }),
+  );
 }
 
 const isTesting =
@@ -341,7 +1582,12 @@ let defaultConnection;
 function getDefaultConnection() {
   if (!defaultConnection) {
     if (isTesting) {
-      defaultConnection = createMockConnection('default');
+      defaultConnection = createMockConnection('default', {
+        validation: config.has('amqp.validation') ? config.get('amqp.validation') : false,
+        delayedMessages: config.get('amqp.delayedMessages'),
+        drainTimeoutInSeconds: config.get('amqp.drainTimeoutInSeconds'),
+        topology: config.has('amqp.topology') ? config.get('amqp.topology') : undefined,
+      });
     } else {
       defaultConnection = createConnection({
         connectionName: 'default',
@@ -352,63 +1598,88 @@ function getDefaultConnection() {
         vhost: config.has('amqp.vhost') ? config.get('amqp.vhost') : '',
         heartbeatIntervalInSeconds: config.get('amqp.heartbeatIntervalInSeconds'),
         reconnectTimeInSeconds: config.get('amqp.reconnectTimeInSeconds'),
+        validation: config.has('amqp.validation') ? config.get('amqp.validation') : false,
+        outbox: config.has('amqp.outbox') ? config.get('amqp.outbox') : false,
+        delayedMessages: config.get('amqp.delayedMessages'),
+        drainTimeoutInSeconds: config.get('amqp.drainTimeoutInSeconds'),
+        topology: config.has('amqp.topology') ? config.get('amqp.topology') : undefined,
       });
     }
   }
   return defaultConnection;
 }
 
-async function gracefulShutdown() {
-  const promises = [...connectionRegistry].map((conn) => conn.close());
-  if (defaultConnection && !connectionRegistry.has(defaultConnection)) {
-    promises.push(defaultConnection.close());
-  }
-  await Promise.all(promises);
-}
+let shuttingDown = false;
+const healthConfig = config.has('amqp.health') ? config.get('amqp.health') : {};
 
-process.on('SIGHUP', async () => {
-  console.log('[ec.amqp] SIGHUP received.');
-  await gracefulShutdown();
-});
-
-process.on('SIGINT', async () => {
-  console.log('[ec.amqp] SIGINT received.');
-  await gracefulShutdown();
-});
+// aggregated health of all connections, see lib/health.js
+async function health(options) {
+  const reports = await Promise.all([...connectionRegistry].map((conn) => conn.health()));
+  return aggregateHealth(reports, Object.assign({ shuttingDown }, healthConfig, options));
+}
 
-process.on('SIGTERM', async () => {
-  console.log('[ec.amqp] SIGTERM received.');
-  await gracefulShutdown();
-});
+function serveHealth(options) {
+  return createHealthServer(() => health(options), Object.assign({}, healthConfig, options)).then((server) => {
+    rootLogger.info(`health server listening on port ${server.address().port}`);
+    return server;
+  });
+}
 
-// Unhandled exception handlers
-process.on('uncaughtException', async (err) => {
-  console.log('[ec.amqp] uncaughtException received.', err);
-  await gracefulShutdown();
-  process.exit(1);
-});
+if (healthConfig.port) {
+  serveHealth().catch((err) => rootLogger.error('could not start health server', { err }));
+}
 
-process.on('unhandledRejection', async () => {
-  console.log('[ec.amqp] unhandledRejection received.');
-  await gracefulShutdown();
-  process.exit(1);
-});
+async function gracefulShutdown(options) {
+  shuttingDown = true;
+  const promises = [...connectionRegistry].map((conn) => conn.close(options));
+  if (defaultConnection && !connectionRegistry.has(defaultConnection)) {
+    promises.push(defaultConnection.close(options));
+  }
+  const reports = await Promise.all(promises);
+  return reports.filter(Boolean);
+}
 
-process.on('beforeExit', async (code) => {
-  console.log('[ec.amqp] beforeExit received. code:', code);
-  await gracefulShutdown();
-});
+const shutdownHandlers = new ShutdownHandlers(gracefulShutdown, rootLogger);
+shutdownHandlers.configure(config.get('amqp.shutdown'));
 
 const moduleExports = {
   isReachable: (...args) => getDefaultConnection().isReachable(...args),
   workerQueue: (...args) => getDefaultConnection().workerQueue(...args),
+  workerQueueBatch: (...args) => getDefaultConnection().workerQueueBatch(...args),
+  streamConsumer: (...args) => getDefaultConnection().streamConsumer(...args),
+  applyTopology: (...args) => getDefaultConnection().applyTopology(...args),
+  diffTopology: (...args) => getDefaultConnection().diffTopology(...args),
   subscribe: (...args) => getDefaultConnection().subscribe(...args),
   plainChannel: (...args) => getDefaultConnection().plainChannel(...args),
   publishChannel: (...args) => getDefaultConnection().publishChannel(...args),
+  deadLetterQueue: (...args) => getDefaultConnection().deadLetterQueue(...args),
+  request: (...args) => getDefaultConnection().request(...args),
+  respond: (...args) => getDefaultConnection().respond(...args),
+  outboxSize: (...args) => getDefaultConnection().outboxSize(...args),
+  use: (...args) => getDefaultConnection().use(...args),
+  health,
+  serveHealth,
   gracefulShutdown,
+  configureShutdown: (options) => shutdownHandlers.configure(options),
   createConnection,
   getConnection,
   AmqpConnection,
+  ValidationError,
+  RequestError,
+  PublishError,
+  CodecError,
+  TopologyError,
+  codecs,
+  MemoryDedupStore,
+  MemoryOffsetStore,
+  FileOffsetStore,
+  FileOutboxAdapter,
+  memoryBroker,
+  testing: createTestHelpers(memoryBroker, () => [...connectionRegistry]),
+  metrics: metricsRegistry,
+  setLogger: (logger) => rootLogger.setTarget(logger),
+  generateTypes,
+  writeTypes,
 };
 
 Object.defineProperty(moduleExports, 'connectionManager', {
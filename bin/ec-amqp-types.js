@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * Generates TypeScript declarations from an AsyncAPI document.
+ *
+ *   ec-amqp-types [--spec events.yml] [--out events.d.ts] [--module ec.amqp]
+ *
+ * Without --spec, the events.yml bundled with ec.amqp is used.
+ * Without --out, the declarations are written to stdout.
+ * With --module, the EventCatalog is emitted as augmentation of that module.
+ */
+
+const { generateTypes, writeTypes } = require('../lib/typegen');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (['--spec', '--out', '--module'].includes(arg) && argv[i + 1]) {
+      args[arg.slice(2)] = argv[++i]; // eslint-disable-line no-plusplus
+    } else {
+      throw new Error(`unknown argument: ${arg}`);
+    }
+  }
+  return args;
+}
+
+try {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('usage: ec-amqp-types [--spec events.yml] [--out events.d.ts] [--module ec.amqp]');
+    process.exit(0);
+  }
+  const options = { spec: args.spec, moduleName: args.module };
+  if (args.out) {
+    writeTypes(Object.assign({ out: args.out }, options));
+    console.error(`ec-amqp-types: wrote ${args.out}`);
+  } else {
+    process.stdout.write(generateTypes(options));
+  }
+} catch (err) {
+  console.error(`ec-amqp-types: ${err.message}`);
+  process.exit(1);
+}
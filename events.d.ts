@@ -0,0 +1,485 @@
+// Generated by ec-amqp-types from events.yml. Do not edit.
+
+export interface PublicAPIEntryEvent {
+  /** ID of the entry */
+  entryID?: string;
+  /** ID of the model */
+  modelID?: string;
+  /** Title of the model */
+  modelTitle?: string;
+  /** ID of the data manager */
+  dataManagerID?: string;
+  /** Short ID of the data manager */
+  shortID?: string;
+  /** entry content */
+  data?: {
+    /** ID of the creator */
+    _creator?: string | null;
+    [key: string]: any;
+  };
+  /** old entry content, on entryUpdated events */
+  oldEntryData?: {
+    [key: string]: any;
+  };
+  entryAndAssetRelations?: Array<{
+    [key: string]: any;
+  }>;
+  roleRelations?: Array<{
+    [key: string]: any;
+  }>;
+  uniqueFields?: Array<{
+    [key: string]: any;
+  }>;
+  user?: {
+    accountID?: string;
+    userType?: "publicUser" | "dmUser" | null;
+  };
+  modified?: string;
+}
+
+export interface PublicAPIAssetEvent {
+  /** full created asset object (only on `assetCreated`). */
+  asset?: {
+    /** ID of the asset (encoded UUID) */
+    assetID?: string;
+    /** ID of the assetGroup, arbitrary string. */
+    assetGroupID?: string;
+    file?: {
+      filename?: string;
+      size?: number;
+      resolution?: {
+        width?: number;
+        height?: number;
+      };
+    };
+    duplicates?: number;
+    /** ID of the data manager */
+    dataManagerID?: string;
+    /** usually empty array because fileVariants are generated after creation */
+    fileVariants?: any[];
+    isUsed?: boolean;
+    /** ec asset type */
+    type?: "image" | "video" | "audio" | "plain" | "document" | "spreadsheet" | "archive" | "other";
+    title?: string;
+    mimetype?: string;
+    creator?: string;
+    creatorType?: "publicUser" | "dmUser" | null;
+    created?: string;
+    thumbnails?: any[];
+    /** usually empty string, because it cannot be set on creation */
+    caption?: string;
+    hash?: string;
+    [key: string]: any;
+  };
+  /** ID of the asset (encoded UUID) (not on `assetCreated`) */
+  assetID?: string;
+  /** updated values (only on `assetUpdated`) */
+  updatedValues?: {
+    [key: string]: any;
+  };
+  /** old values of updated values (only on `assetUpdated`) */
+  oldValues?: {
+    [key: string]: any;
+  };
+  accountID: string;
+  userType: "publicUser" | "dmUser" | null;
+}
+
+export interface PublicAPIUserLoggedInEvent {
+  accountID?: string;
+  issued?: number;
+  validUntil?: number;
+}
+
+/** Settings of the created or updated data manager. Note that old values are *not* available on update events. */
+export interface EcAPIDataManagerEvent {
+  /** UUID of the Data Manager */
+  dataManagerID?: string;
+  /** Short ID of the data manager */
+  shortID?: string;
+  title?: string | null;
+  description?: string | null;
+  config?: {
+    [key: string]: any;
+  };
+  hexColor?: string;
+  defaultLocale?: string | null;
+  locales?: any[];
+  publicAssetRights?: any[];
+  customerID?: any;
+  dbhost?: any;
+}
+
+export interface EcAPIModelEvent {
+  /** UUID of the Model */
+  modelID?: string;
+  title?: string | null;
+  description?: string | null;
+  hexColor?: string;
+  titleField?: string;
+  fields?: Array<{
+    [key: string]: any;
+  }>;
+  locales?: any[];
+  hooks?: any[];
+  sync?: any[] | null;
+  config?: {
+    [key: string]: any;
+  };
+  /** UUID of the Data Manager */
+  dataManagerID?: string;
+  /** Short ID of the data manager */
+  shortID?: string;
+}
+
+export interface EcAPIAssetGroupEvent {
+  /** accountID of the user who triggered this event */
+  accountID?: string;
+  /** full created assetgroup object (only on `assetgroupCreated` events) */
+  assetGroup?: {
+    /** The unique ID of the asset group (and also the name) */
+    assetGroupID?: any;
+    /** Read-only field indicating if assets in this group are generally public */
+    public?: boolean;
+    settings?: {
+      [key: string]: any;
+    };
+    policies?: Array<{
+      [key: string]: any;
+    }>;
+  };
+  /** updated values of the assetgroup (only on `assetgroupUpdated` events) */
+  updatedValues?: {
+    [key: string]: any;
+  };
+  /** previous values of updated assetgroup values (only on `assetgroupUpdated` events) */
+  oldValues?: {
+    [key: string]: any;
+  };
+}
+
+export interface EcAPIAccountEvent {
+  /** accountID of the deleted account */
+  accountID?: string;
+  /** UUID of the Data Manager */
+  dataManagerID?: string;
+  email?: string | null;
+  pending?: boolean;
+  created?: string;
+  pendingUpdated?: string;
+}
+
+export interface MailMailgunCommand {
+  mail?: {
+    to?: string | string[];
+    cc?: string | string[];
+    bcc?: string | string[];
+    /** Sender address in mailgun-compatible format. Domain part must be equal to domain. */
+    from?: string;
+    /** Reply-To address in mailgun-compatible format */
+    "h:Reply-To"?: string;
+    /** mail subject */
+    subject?: string;
+    /** plain text content. Can be omitted if `html` is set, because it is then generated out of the html content. */
+    text?: string;
+    /** main mail content as html. CSS etc. will be inlined automatically. */
+    html?: string;
+    attachment?: string[];
+    /** ec.mail template set, default is empty string (no template set) */
+    templateSet?: string;
+    /** ec.mail template name, do not use together with `mailgunTemplate` */
+    template?: string;
+    /** language identifier, if using ec.mail templates */
+    language?: string;
+    /** variable data for ec.mail templates */
+    data?: {
+      [key: string]: any;
+    };
+    /** native mailgun template name, do not use together with ec.mail templates. */
+    mailgunTemplate?: string;
+    /** if using `mailgunTemplate`: a valid JSON-encoded dictionary used as the input for template variable expansion */
+    "h:X-Mailgun-Variables"?: string;
+    "o:tag"?: string;
+    /** Desired time of delivery. Note: Messages can be scheduled for a maximum of 3 days in the future. */
+    "o:deliverytime"?: string;
+  };
+  domain?: string;
+}
+
+export interface PushHectorCommand {
+  appsiteID?: string;
+  notification?: {
+    title: string;
+    body?: string;
+    /** for longer message in firebase db */
+    bodyLong?: string;
+    messageType?: string;
+    data?: {
+      [key: string]: any;
+    };
+    from?: string;
+    fromCustomerId?: string;
+  };
+  accountIDs?: string[];
+}
+
+/** payload is depending on the task */
+export interface EcTaskCommand {
+  commandID?: string;
+  _accountID?: string;
+  [key: string]: any;
+}
+
+/** platform object */
+export interface AppServerBuildCommand {
+  [key: string]: any;
+}
+
+export interface AppServerBuildEvent {
+  uuid?: string;
+  timestamp?: string;
+  message?: string;
+  temporary?: boolean;
+  info?: {
+    [key: string]: any;
+  };
+  buildID?: string;
+  deploymentID?: string | null;
+  eventType?: string;
+}
+
+export interface AppServerBuildResult {
+  result?: "success" | "error";
+  buildID?: string;
+  timestamp?: string;
+  /** result of build or error */
+  content?: any;
+}
+
+export interface EcAuthPermissionsUpdated {
+  /** accountID whose permissions were changed */
+  accountID?: string;
+  /** list of accountIDs whose permissions were changed */
+  accountIDs?: string[];
+}
+
+export interface EcAuthTokenRevoked {
+  token?: string;
+}
+
+export interface DSBEvaWebhookEvent {
+  /** seoTitle */
+  franchise?: string;
+  /** usually booking entryID */
+  subject?: string;
+}
+
+export interface DealbunnyExpoTicketPayload {
+  ticket?: string;
+  message?: {
+    [key: string]: any;
+  };
+}
+
+export interface DealbunnyDeleteMessageTokenCommandPayload {
+  messageToken?: string;
+}
+
+/** Parameters of channel `/{shortID}/{modelTitle}/{entryID}/{entryEventType}` */
+export interface EntrySubParameters {
+  /** Short ID of the data manager */
+  shortID: string;
+  /** Title of the model */
+  modelTitle: string;
+  /** ID of the entry */
+  entryID: string;
+  /** type of the entry event */
+  entryEventType: "entryCreated" | "entryUpdated" | "entryDeleted";
+}
+
+/** Parameters of channel `/{shortID}/_assets/{assetGroupID}/{assetID}/{assetEventType}` */
+export interface AssetSubParameters {
+  /** Short ID of the data manager */
+  shortID: string;
+  /** Title of the asset Group */
+  assetGroupID: string;
+  /** ID of the entry */
+  assetID: string;
+  /** type of the asset event */
+  assetEventType: "assetCreated" | "assetUpdated" | "assetDeleted";
+}
+
+/** Parameters of channel `/{shortID}/_auth/{accountID}/loggedIn` */
+export interface LoggedInSubParameters {
+  /** Short ID of the data manager */
+  shortID: string;
+  /** Data Manager User Account ID */
+  accountID: string;
+}
+
+/** Parameters of channel `/{dataManagerID}/{dataManagerEventType}` */
+export interface DatamanagerSubParameters {
+  /** UUID of the Data Manager */
+  dataManagerID: string;
+  /** type of the dm event. *There is no event for Deletion!* */
+  dataManagerEventType: "datamanagerCreated" | "datamanagerUpdated";
+}
+
+/** Parameters of channel `/{dataManagerID}/{modelID}/{modelEventType}` */
+export interface ModelSubParameters {
+  /** UUID of the Data Manager */
+  dataManagerID: string;
+  /** UUID of the Model */
+  modelID: string;
+  /** type of the model event */
+  modelEventType: "modelCreated" | "modelUpdated" | "modelDeleted";
+}
+
+/** Parameters of channel `/{dataManagerID}/{assetGroupID}/{assetgroupEventType}` */
+export interface AssetgroupSubParameters {
+  /** UUID of the Data Manager */
+  dataManagerID: string;
+  /** ID/title of the assetgroup */
+  assetGroupID: any;
+  /** type of the assetgroup event */
+  assetgroupEventType: "assetgroupCreated" | "assetgroupUpdated";
+}
+
+/** Parameters of channel `/{dataManagerID}/account/{accountID}/deleted` */
+export interface AccountSubParameters {
+  /** UUID of the Data Manager */
+  dataManagerID: string;
+  /** ID/title of the assetgroup */
+  accountID: string;
+}
+
+/** Parameters of channel `/cmd/sendMail/mailgun/{domain}` */
+export interface SendMailMailgunPubParameters {
+  /** mail domain to use */
+  domain: string;
+}
+
+/** Parameters of channel `/cmd/sendPush/hector/{appsiteID}` */
+export interface SendPushHectorPubParameters {
+  /** appsiteID to use (for firebase config) */
+  appsiteID: string;
+}
+
+/** Parameters of channel `/cmd/task/{task}` */
+export interface EcTaskCommandParameters {
+  /** task identifier */
+  task: string;
+}
+
+/** Parameters of channel `/build/{platformType}/run` */
+export interface AppserverBuildCommandParameters {
+  /** platformType lowercased */
+  platformType: string;
+}
+
+/** Parameters of channel `/build/{platformType}/buildEvent` */
+export interface AppserverBuildEventParameters {
+  /** platformType lowercased */
+  platformType: string;
+}
+
+/** Parameters of channel `/build/{platformType}/buildResult` */
+export interface AppserverBuildResultParameters {
+  /** platformType lowercased */
+  platformType: string;
+}
+
+/** Parameters of channel `/eva_webhook_events/{eventType}` */
+export interface DsbEvaWebhookEventSubParameters {
+  eventType: string;
+}
+
+/** Parameters of channel `/deal/published/{dealID}` */
+export interface DealbunnyDealPublishedParameters {
+  /** ID of the newly published Deal */
+  dealID: string;
+}
+
+/** Parameters of channel `/{accountID}/seen` */
+export interface DealbunnyAccountSeenParameters {
+  /** ID of the Account producing this event */
+  accountID: string;
+}
+
+/** Parameters of channel `/{accountID}/{dealAction}/{dealID}` */
+export interface DealbunnyDealActionParameters {
+  /** ID of the Account producing this event */
+  accountID: string;
+  dealAction: "createdDeal" | "likedDeal" | "unlikedDeal";
+  /** ID of the deal the action was performed on */
+  dealID: string;
+}
+
+/** Parameters of channel `/{accountID}/postedComment/{dealID}{/replyTo}{/parentComment}` */
+export interface DealbunnyPostCommentActionParameters {
+  /** ID of the Account producing this event */
+  accountID: string;
+  /** ID of the deal the comment was created on */
+  dealID: string;
+  /** set to 'replyTo' if parentComment is set^ */
+  replyTo?: "replyTo" | null;
+  /** a parent comment ID, if this is a reply comment */
+  parentComment?: any;
+}
+
+/** Parameters of channel `/{accountID}/{commentAction}/{commentID}` */
+export interface DealbunnyCommentActionParameters {
+  /** ID of the Account producing this event */
+  accountID: string;
+  commentAction: "likedDealComment" | "dislikedDealComment" | "undislikedDealComment" | "unlikedDealComment";
+  /** ID of the comment the action was performed on */
+  commentID: string;
+}
+
+/** Parameters of channel `/{accountID}/redeemedReward/{rewardID}` */
+export interface DealbunnyRewardRedeemParameters {
+  /** ID of the Account producing this event */
+  accountID: string;
+  /** ID of the reward that was redeemed */
+  rewardID: string;
+}
+
+/** Routing key templates and payload types per exchange */
+export interface EventCatalog {
+  publicAPI: [
+    [`${string}.${string}.${string}.${"entryCreated" | "entryUpdated" | "entryDeleted"}`, PublicAPIEntryEvent],
+    [`${string}._assets.${string}.${string}.${"assetCreated" | "assetUpdated" | "assetDeleted"}`, PublicAPIAssetEvent],
+    [`${string}._auth.${string}.loggedIn`, PublicAPIUserLoggedInEvent],
+  ];
+  ecAPI: [
+    [`${string}.${"datamanagerCreated" | "datamanagerUpdated"}`, EcAPIDataManagerEvent],
+    [`${string}.${string}.${"modelCreated" | "modelUpdated" | "modelDeleted"}`, EcAPIModelEvent],
+    [`${string}.${string}.${"assetgroupCreated" | "assetgroupUpdated"}`, EcAPIAssetGroupEvent],
+    [`${string}.account.${string}.deleted`, EcAPIAccountEvent],
+  ];
+  mail: [
+    [`cmd.sendMail.mailgun.${string}`, MailMailgunCommand],
+    [`cmd.sendPush.hector.${string}`, PushHectorCommand],
+  ];
+  "ec.tasks": [
+    [`cmd.task.${string}`, EcTaskCommand],
+  ];
+  appserverBuild: [
+    [`build.${string}.run`, AppServerBuildCommand],
+  ];
+  appserverBuildEvents: [
+    [`build.${string}.buildEvent`, AppServerBuildEvent],
+    [`build.${string}.buildResult`, AppServerBuildResult],
+  ];
+  ecAuthNotifications: [
+    [`ecAuth.permissionsUpdated`, EcAuthPermissionsUpdated],
+    [`ecAuth.tokenRevoked`, EcAuthTokenRevoked],
+  ];
+  "dsb-eva": [
+    [`eva_webhook_events.${string}`, DSBEvaWebhookEvent],
+  ];
+  expopush: [
+    [`expo.dealbunny.ticket`, DealbunnyExpoTicketPayload],
+    [`expo.dealbunny.deleteMessageToken`, DealbunnyDeleteMessageTokenCommandPayload],
+  ];
+}
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const defaultSpecPath = path.join(__dirname, '..', 'events.yml');
+
+const specCache = new Map();
+
+function escapePointer(segment) {
+  return segment.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointer(segment) {
+  return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function resolveRef(doc, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`ec.amqp: only local $refs are supported in AsyncAPI documents, got "${ref}"`);
+  }
+  return ref
+    .slice(2)
+    .split('/')
+    .map(unescapePointer)
+    .reduce((node, segment) => (node === undefined ? undefined : node[segment]), doc);
+}
+
+function deref(doc, node) {
+  let current = node;
+  while (current && current.$ref) {
+    current = resolveRef(doc, current.$ref);
+  }
+  return current;
+}
+
+// `/{shortID}/{modelTitle}/{entryID}/{entryEventType}` -> /^([^.]+)\.([^.]+)\.([^.]+)\.(entryCreated|…)$/
+// optional segments like `{/replyTo}` become optional dot-separated words. A parameter at the end may contain
+// dots (`cmd.sendMail.mailgun.entrecode.de`): `regExp` lets it match several words, `strictRegExp` only one.
+function routingKeyPattern(doc, channelName, parameters = {}) {
+  const names = [];
+  let source = '';
+  let strictSource = '';
+  const tokens = channelName.replace(/^\//, '').match(/\{\/?[^}]+\}|[^{]+/g) || [];
+  tokens.forEach((token, i) => {
+    if (!token.startsWith('{')) {
+      source += escapeRegExp(token.replace(/\//g, '.'));
+      strictSource += escapeRegExp(token.replace(/\//g, '.'));
+      return;
+    }
+    const key = token.slice(1, -1);
+    const optional = key.startsWith('/');
+    const name = optional ? key.slice(1) : key;
+    const parameter = deref(doc, parameters[key]) || {};
+    const schema = deref(doc, parameter.schema) || {};
+    let word = '[^.]+';
+    let lastWord = i === tokens.length - 1 && !optional ? '.+' : word;
+    if (Array.isArray(schema.enum) && schema.enum.every((value) => typeof value === 'string')) {
+      word = schema.enum.map(escapeRegExp).join('|');
+      lastWord = word;
+    }
+    names.push(name);
+    source += optional ? `(?:\\.(${word}))?` : `(${lastWord})`;
+    strictSource += optional ? `(?:\\.(${word}))?` : `(${word})`;
+  });
+  return { regExp: new RegExp(`^${source}$`), strictRegExp: new RegExp(`^${strictSource}$`), names };
+}
+
+function parseChannels(doc) {
+  return Object.entries(doc.channels || {}).reduce((channels, [channelName, channel]) => {
+    ['publish', 'subscribe']
+      .filter((operation) => channel[operation])
+      .forEach((operation) => {
+        const op = channel[operation];
+        const amqpBindings = (channel.bindings && channel.bindings.amqp) || (op.bindings && op.bindings.amqp) || {};
+        const exchange = amqpBindings.exchange || {};
+        let messageName;
+        let payloadPointer;
+        if (op.message && op.message.$ref) {
+          messageName = op.message.$ref.split('/').pop();
+          payloadPointer = `${op.message.$ref}/payload`;
+        } else if (op.message && op.message.payload) {
+          payloadPointer = `#/channels/${escapePointer(channelName)}/${operation}/message/payload`;
+        }
+        const { regExp, strictRegExp, names } = routingKeyPattern(doc, channelName, channel.parameters);
+        channels.push({
+          channel: channelName,
+          operation,
+          operationId: op.operationId,
+          description: op.description,
+          exchange: exchange.name,
+          exchangeType: exchange.type || 'topic',
+          routingKey: channelName.replace(/^\//, '').replace(/\{\/([^}]+)\}/g, '.{$1}').replace(/\//g, '.'),
+          routingKeyPattern: regExp,
+          strictRoutingKeyPattern: strictRegExp,
+          parameterNames: names,
+          parameters: channel.parameters || {},
+          messageName,
+          payloadPointer,
+        });
+      });
+    return channels;
+  }, []);
+}
+
+/**
+ * Loads and parses an AsyncAPI document (defaults to the bundled events.yml).
+ * Results are cached per file path.
+ */
+function loadSpec(specPath = defaultSpecPath) {
+  const resolved = path.resolve(specPath);
+  if (!specCache.has(resolved)) {
+    const doc = yaml.load(fs.readFileSync(resolved, 'utf8'));
+    const channels = parseChannels(doc);
+    specCache.set(resolved, {
+      path: resolved,
+      doc,
+      channels,
+      // a channel whose parameters are single words wins over one whose last parameter spans several
+      findChannel(exchange, routingKey) {
+        const candidates = channels.filter((c) => c.exchange === exchange);
+        return (
+          candidates.find((c) => c.strictRoutingKeyPattern.test(routingKey)) ||
+          candidates.find((c) => c.routingKeyPattern.test(routingKey))
+        );
+      },
+      describesExchange(exchange) {
+        return channels.some((c) => c.exchange === exchange);
+      },
+    });
+  }
+  return specCache.get(resolved);
+}
+
+module.exports = {
+  defaultSpecPath,
+  loadSpec,
+  resolveRef,
+  deref,
+  escapePointer,
+};
@@ -0,0 +1,257 @@
+const { PublishError } = require('./confirm');
+
+const overflowModes = ['reject', 'wait'];
+
+const isPositive = (value) => typeof value === 'number' && value > 0;
+
+/**
+ * Normalizes the backpressure options of `publishChannel`. Without `maxInFlight`, `rateLimit` and
+ * `circuitBreaker`, publishes are only counted.
+ */
+function normalizePublishLimits(channelOptions) {
+  const { maxInFlight = Infinity, overflow = 'reject', timeout = 10000 } = channelOptions;
+  const { waitTimeout = timeout } = channelOptions;
+  if (!(maxInFlight === Infinity || (Number.isInteger(maxInFlight) && maxInFlight >= 1))) {
+    throw new Error('ec.amqp: publishChannel maxInFlight must be an integer of at least 1');
+  }
+  if (!overflowModes.includes(overflow)) {
+    throw new Error("ec.amqp: publishChannel overflow must be 'reject' or 'wait'");
+  }
+  if (!(typeof waitTimeout === 'number' && waitTimeout >= 0)) {
+    throw new Error('ec.amqp: publishChannel waitTimeout must be a number of ms');
+  }
+  let rateLimit;
+  if (channelOptions.rateLimit) {
+    rateLimit = Object.assign({}, channelOptions.rateLimit);
+    rateLimit.burst = rateLimit.burst === undefined ? Math.max(1, rateLimit.perSecond) : rateLimit.burst;
+    if (!isPositive(rateLimit.perSecond) || !(isPositive(rateLimit.burst) && rateLimit.burst >= 1)) {
+      throw new Error('ec.amqp: publishChannel rateLimit needs a positive perSecond and a burst of at least 1');
+    }
+  }
+  let circuitBreaker;
+  if (channelOptions.circuitBreaker) {
+    circuitBreaker = Object.assign(
+      { failureThreshold: 5, resetTimeout: 30000 },
+      channelOptions.circuitBreaker === true ? {} : channelOptions.circuitBreaker,
+    );
+    const { failureThreshold, resetTimeout } = circuitBreaker;
+    if (!(Number.isInteger(failureThreshold) && failureThreshold >= 1) || !(resetTimeout >= 0)) {
+      throw new Error('ec.amqp: publishChannel circuitBreaker needs a failureThreshold of at least 1 and resetTimeout');
+    }
+  }
+  return { maxInFlight, overflow, waitTimeout, rateLimit, circuitBreaker };
+}
+
+/**
+ * Refills `perSecond` tokens per second, up to `burst`. Waiting publishes take their token ahead of time
+ * (the bucket goes negative), so they are sent in the order they arrived.
+ */
+class TokenBucket {
+  constructor({ perSecond, burst }) {
+    this.perSecond = perSecond;
+    this.burst = burst;
+    this._tokens = burst;
+    this._updatedAt = Date.now();
+  }
+
+  // takes a token if it is available within `maxWait` ms; resolves with the ms to wait, undefined if not
+  take(maxWait = 0) {
+    const now = Date.now();
+    this._tokens = Math.min(this.burst, this._tokens + ((now - this._updatedAt) * this.perSecond) / 1000);
+    this._updatedAt = now;
+    const wait = this._tokens >= 1 ? 0 : Math.ceil(((1 - this._tokens) * 1000) / this.perSecond);
+    if (wait > maxWait) {
+      return undefined;
+    }
+    this._tokens -= 1;
+    return wait;
+  }
+}
+
+/**
+ * Opens after `failureThreshold` publishes in a row failed. While open, publishes fail right away;
+ * after `resetTimeout` ms one trial publish is let through (half-open), which closes or opens it again.
+ */
+class CircuitBreaker {
+  constructor({ failureThreshold, resetTimeout }, onChange) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.state = 'closed';
+    this.failures = 0;
+    this._openedAt = undefined;
+    this._trial = false;
+    this._onChange = onChange;
+  }
+
+  // whether a publish may be sent, and whether it is the trial publish
+  allow() {
+    if (this.state === 'open' && Date.now() - this._openedAt >= this.resetTimeout) {
+      this._set('half-open');
+    }
+    if (this.state === 'half-open' && !this._trial) {
+      this._trial = true;
+      return { allowed: true, trial: true };
+    }
+    return { allowed: this.state === 'closed', trial: false };
+  }
+
+  // `failed` is undefined if the publish was not sent; results of publishes sent before the circuit opened are ignored
+  result(failed, trial) {
+    if (trial) {
+      this._trial = false;
+      if (failed === true) {
+        this._open();
+      } else if (failed === false) {
+        this.failures = 0;
+        this._set('closed');
+      }
+    } else if (this.state === 'closed' && failed !== undefined) {
+      this.failures = failed ? this.failures + 1 : 0;
+      if (this.failures >= this.failureThreshold) {
+        this._open();
+      }
+    }
+  }
+
+  _open() {
+    this._openedAt = Date.now();
+    this._set('open');
+  }
+
+  _set(state) {
+    const previous = this.state;
+    if (previous !== state) {
+      this.state = state;
+      this._onChange(state, previous);
+    }
+  }
+}
+
+/**
+ * Backpressure for one publish channel: at most `maxInFlight` publishes that are buffered or wait for their
+ * confirm, the token bucket of the exchange, and a circuit breaker. With `overflow: 'wait'`, a publish waits
+ * up to `waitTimeout` ms for a free slot or token, otherwise it fails right away with a `PublishError`.
+ */
+class PublishLimiter {
+  constructor(exchange, limits, { bucket, onRejected = () => {}, onInFlight = () => {}, onCircuitChange = () => {} }) {
+    this.exchange = exchange;
+    this._limits = limits;
+    this._bucket = bucket;
+    this._breaker = limits.circuitBreaker ? new CircuitBreaker(limits.circuitBreaker, onCircuitChange) : undefined;
+    this._onRejected = onRejected;
+    this._onInFlight = onInFlight;
+    this._inFlight = 0;
+    this._waiting = [];
+  }
+
+  /**
+   * Resolves with a function to call with the publish error (or nothing) once the publish is done.
+   * `details` are the exchange, routing key and message id for the PublishError.
+   */
+  async acquire(details) {
+    const { overflow, waitTimeout } = this._limits;
+    const deadline = Date.now() + (overflow === 'wait' ? waitTimeout : 0);
+    const { allowed, trial } = this._breaker ? this._breaker.allow() : { allowed: true, trial: false };
+    if (!allowed) {
+      throw this._reject(
+        'CIRCUIT_OPEN',
+        `ec.amqp: circuit breaker for ${this.exchange} is open after ${this._breaker.failures} failed publishes`,
+        details,
+      );
+    }
+    try {
+      await this._slot(deadline, details);
+    } catch (err) {
+      this._result(undefined, trial);
+      throw err;
+    }
+    try {
+      await this._token(deadline, details);
+    } catch (err) {
+      this._release();
+      this._result(undefined, trial);
+      throw err;
+    }
+    return (err) => {
+      this._release();
+      // unroutable messages were accepted by the broker
+      this._result(Boolean(err) && err.code !== 'UNROUTABLE', trial);
+    };
+  }
+
+  report() {
+    return {
+      exchange: this.exchange,
+      inFlight: this._inFlight,
+      waiting: this._waiting.length,
+      circuit: this._breaker ? this._breaker.state : null,
+      failures: this._breaker ? this._breaker.failures : 0,
+    };
+  }
+
+  _slot(deadline, details) {
+    if (this._inFlight < this._limits.maxInFlight) {
+      this._inFlight += 1;
+      this._onInFlight(1);
+      return Promise.resolve();
+    }
+    const message = `ec.amqp: ${this._inFlight} publishes to ${this.exchange} are in flight (maxInFlight)`;
+    if (deadline <= Date.now()) {
+      return Promise.reject(this._reject('MAX_IN_FLIGHT', message, details));
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve };
+      waiter.timer = setTimeout(() => {
+        this._waiting.splice(this._waiting.indexOf(waiter), 1);
+        reject(this._reject('MAX_IN_FLIGHT', message, details));
+      }, deadline - Date.now());
+      this._waiting.push(waiter);
+    });
+  }
+
+  // a free slot is handed to the publish that waited longest
+  _release() {
+    const waiter = this._waiting.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve();
+    } else {
+      this._inFlight -= 1;
+      this._onInFlight(-1);
+    }
+  }
+
+  async _token(deadline, details) {
+    if (!this._bucket) {
+      return;
+    }
+    const wait = this._bucket.take(Math.max(0, deadline - Date.now()));
+    if (wait === undefined) {
+      throw this._reject(
+        'RATE_LIMITED',
+        `ec.amqp: rate limit of ${this._bucket.perSecond} publishes per second to ${this.exchange} exceeded`,
+        details,
+      );
+    }
+    if (wait > 0) {
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+  }
+
+  _result(failed, trial) {
+    if (this._breaker) {
+      this._breaker.result(failed, trial);
+    }
+  }
+
+  _reject(code, message, details) {
+    this._onRejected(code);
+    return new PublishError(code, message, details);
+  }
+}
+
+module.exports = {
+  normalizePublishLimits,
+  TokenBucket,
+  PublishLimiter,
+};
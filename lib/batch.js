@@ -0,0 +1,67 @@
+/**
+ * Normalizes the options of `workerQueueBatch`: up to `size` messages per batch,
+ * a partial batch is handled `timeout` ms after its first message arrived.
+ */
+function normalizeBatchOptions(options = {}) {
+  const batch = Object.assign({ size: 100, timeout: 1000 }, options);
+  if (!(Number.isInteger(batch.size) && batch.size >= 1)) {
+    throw new Error('ec.amqp: workerQueueBatch size must be an integer of at least 1');
+  }
+  if (!(batch.timeout >= 0)) {
+    throw new Error('ec.amqp: workerQueueBatch timeout must not be negative');
+  }
+  // middleware is called per event, batch handlers receive many
+  if (batch.middleware !== undefined) {
+    throw new Error('ec.amqp: workerQueueBatch does not support middleware, wrap the batch handler instead');
+  }
+  return batch;
+}
+
+/**
+ * Collects items into batches that are passed to `onBatch` once full or when the timeout expires.
+ * Batches are handled one after another, `flush()` hands over a partial batch right away.
+ */
+class Batch {
+  constructor({ size, timeout }, onBatch) {
+    this.size = size;
+    this.timeout = timeout;
+    this._onBatch = onBatch;
+    this._items = [];
+    this._handling = Promise.resolve();
+  }
+
+  add(item) {
+    this._items.push(item);
+    if (this._items.length >= this.size) {
+      this.flush();
+    } else if (!this._timer) {
+      this._timer = setTimeout(() => this.flush(), this.timeout);
+    }
+  }
+
+  flush() {
+    clearTimeout(this._timer);
+    this._timer = undefined;
+    if (!this._items.length) {
+      return this._handling;
+    }
+    const items = this._items;
+    this._items = [];
+    this._handling = this._handling.then(() => this._onBatch(items));
+    return this._handling;
+  }
+
+  // removes the items not handed over yet, e.g. deliveries of a closed channel
+  discard() {
+    clearTimeout(this._timer);
+    this._timer = undefined;
+    const items = this._items;
+    this._items = [];
+    return items;
+  }
+}
+
+module.exports = {
+  Batch,
+  normalizeBatchOptions,
+};
@@ -0,0 +1,117 @@
+const zlib = require('zlib');
+
+class CodecError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CodecError';
+    Object.assign(this, details);
+  }
+}
+
+// `application/json; charset=utf-8` -> `application/json`
+function mediaType(contentType) {
+  return String(contentType).split(';')[0].trim().toLowerCase();
+}
+
+const json = {
+  encode: (value) => Buffer.from(JSON.stringify(value)),
+  decode: (content) => JSON.parse(content.toString()),
+};
+
+const text = {
+  encode: (value) => Buffer.from(String(value)),
+  decode: (content) => content.toString(),
+};
+
+const raw = {
+  encode: (value) => (Buffer.isBuffer(value) ? value : Buffer.from(value)),
+  decode: (content) => content,
+};
+
+const gzip = {
+  encode: (content) => zlib.gzipSync(content),
+  decode: (content) => zlib.gunzipSync(content),
+};
+
+/**
+ * Codecs keyed by content type (`{ encode(value): Buffer, decode(Buffer): value }`)
+ * and by content encoding (`{ encode(Buffer): Buffer, decode(Buffer): Buffer }`).
+ * Content types may be registered with a wildcard subtype (`text/*`).
+ * Messages without a content type are JSON.
+ */
+class CodecRegistry {
+  constructor() {
+    this._contentTypes = new Map();
+    this._contentEncodings = new Map();
+  }
+
+  register(contentType, codec) {
+    this._contentTypes.set(mediaType(contentType), codec);
+    return this;
+  }
+
+  registerEncoding(contentEncoding, codec) {
+    this._contentEncodings.set(contentEncoding.toLowerCase(), codec);
+    return this;
+  }
+
+  _codec(contentType = 'application/json') {
+    const type = mediaType(contentType);
+    const codec = this._contentTypes.get(type) || this._contentTypes.get(`${type.split('/')[0]}/*`);
+    if (!codec) {
+      throw new CodecError(`ec.amqp: no codec registered for content type "${type}"`, { contentType });
+    }
+    return codec;
+  }
+
+  _encoding(contentEncoding) {
+    const codec = this._contentEncodings.get(contentEncoding.toLowerCase());
+    if (!codec) {
+      throw new CodecError(`ec.amqp: no codec registered for content encoding "${contentEncoding}"`, {
+        contentEncoding,
+      });
+    }
+    return codec;
+  }
+
+  encode(value, { contentType, contentEncoding } = {}) {
+    const codec = this._codec(contentType);
+    const encoding = contentEncoding ? this._encoding(contentEncoding) : undefined;
+    try {
+      const content = codec.encode(value);
+      return encoding ? encoding.encode(content) : content;
+    } catch (err) {
+      throw new CodecError(`ec.amqp: could not encode ${contentType || 'application/json'} message: ${err.message}`, {
+        contentType,
+        contentEncoding,
+        cause: err,
+      });
+    }
+  }
+
+  decode(content, { contentType, contentEncoding } = {}) {
+    const codec = this._codec(contentType);
+    const encoding = contentEncoding ? this._encoding(contentEncoding) : undefined;
+    try {
+      return codec.decode(encoding ? encoding.decode(content) : content);
+    } catch (err) {
+      throw new CodecError(`ec.amqp: could not decode ${contentType || 'application/json'} message: ${err.message}`, {
+        contentType,
+        contentEncoding,
+        cause: err,
+      });
+    }
+  }
+}
+
+const codecs = new CodecRegistry()
+  .register('application/json', json)
+  .register('text/*', text)
+  .register('application/octet-stream', raw)
+  .registerEncoding('gzip', gzip);
+
+module.exports = {
+  CodecError,
+  CodecRegistry,
+  codecs,
+};
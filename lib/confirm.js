@@ -0,0 +1,59 @@
+class PublishError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'PublishError';
+    // NACK, UNROUTABLE or TIMEOUT; MAX_IN_FLIGHT, RATE_LIMITED or CIRCUIT_OPEN from lib/backpressure.js
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+// records mandatory messages the broker returned as unroutable, keyed by messageId
+function trackReturns(channelWrapper) {
+  const returned = new Set();
+  channelWrapper.addSetup((channel) => {
+    channel.on('return', (message) => {
+      if (message.properties.messageId) {
+        returned.add(message.properties.messageId);
+      }
+    });
+  });
+  return returned;
+}
+
+/**
+ * Publishes a mandatory message and resolves only after the broker confirmed it.
+ * A basic.return is always sent before the basic.ack of the same message, so an
+ * unroutable message is known when the confirm arrives.
+ */
+async function confirmedPublish(channelWrapper, returned, exchange, routingKey, content, options, timeout) {
+  const { messageId } = options;
+  const details = { exchange, routingKey, messageId };
+  try {
+    const result = await channelWrapper.publish(
+      exchange,
+      routingKey,
+      content,
+      Object.assign({}, options, { mandatory: true, timeout }),
+    );
+    if (returned.delete(messageId)) {
+      throw new PublishError('UNROUTABLE', `ec.amqp: message to ${exchange}/${routingKey} was not routed to any queue`, details);
+    }
+    return result;
+  } catch (err) {
+    returned.delete(messageId);
+    if (err instanceof PublishError) {
+      throw err;
+    }
+    if (err.message === 'timeout') {
+      throw new PublishError('TIMEOUT', `ec.amqp: broker did not confirm message to ${exchange}/${routingKey} within ${timeout}ms`, details);
+    }
+    throw new PublishError('NACK', `ec.amqp: broker rejected message to ${exchange}/${routingKey}: ${err.message}`, Object.assign({ cause: err }, details));
+  }
+}
+
+module.exports = {
+  PublishError,
+  trackReturns,
+  confirmedPublish,
+};
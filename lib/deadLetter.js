@@ -0,0 +1,195 @@
+const headers = require('./headers');
+const { codecs } = require('./codecs');
+const { originalFields, retryCount } = require('./retry');
+
+const internalHeaders = [
+  headers.RETRY_COUNT,
+  headers.FAILURE_ERROR,
+  headers.FAILURE_HANDLER,
+  headers.FAILURE_ATTEMPTS,
+  headers.FAILURE_TIMESTAMP,
+  headers.VALIDATION_ERROR,
+  'x-death',
+  'x-first-death-exchange',
+  'x-first-death-queue',
+  'x-first-death-reason',
+  'x-last-death-exchange',
+  'x-last-death-queue',
+  'x-last-death-reason',
+  'x-delivery-count',
+];
+
+function deadLetterName(queueName) {
+  return `${queueName}-dead-letter`;
+}
+
+/**
+ * Normalizes the `deadLetter` option of `workerQueue`.
+ * Returns undefined if no dead-letter exchange/queue pair should be declared.
+ */
+function normalizeDeadLetterOptions(deadLetter, queueName) {
+  if (!deadLetter) {
+    return undefined;
+  }
+  return Object.assign(
+    {
+      exchange: deadLetterName(queueName),
+      queue: deadLetterName(queueName),
+    },
+    deadLetter === true ? {} : deadLetter,
+  );
+}
+
+function failureHeaders(message, { err, handlerName, attempts }) {
+  const { exchange, routingKey } = originalFields(message);
+  return Object.assign({}, message.properties.headers, {
+    [headers.ORIGINAL_EXCHANGE]: exchange,
+    [headers.ORIGINAL_ROUTING_KEY]: routingKey,
+    [headers.FAILURE_ERROR]: err ? String(err.message || err) : 'nacked',
+    [headers.FAILURE_HANDLER]: handlerName || 'anonymous',
+    [headers.FAILURE_ATTEMPTS]: attempts || retryCount(message) + 1,
+    [headers.FAILURE_TIMESTAMP]: Date.now(),
+  });
+}
+
+function parseContent(message) {
+  try {
+    return codecs.decode(message.content, message.properties);
+  } catch (err) {
+    return message.content.toString();
+  }
+}
+
+// broker-side dead-lettering (delivery limit, TTL, consumers without `deadLetter`) only leaves `x-death` behind
+function describe(message) {
+  const messageHeaders = message.properties.headers || {};
+  const [death] = messageHeaders['x-death'] || [];
+  const { exchange, routingKey } = originalFields(message);
+  return {
+    messageId: message.properties.messageId,
+    event: parseContent(message),
+    properties: message.properties,
+    exchange: death && !messageHeaders[headers.ORIGINAL_EXCHANGE] ? death.exchange : exchange,
+    routingKey:
+      death && !messageHeaders[headers.ORIGINAL_ROUTING_KEY] ? (death['routing-keys'] || [])[0] : routingKey,
+    failure: {
+      error: messageHeaders[headers.FAILURE_ERROR] || messageHeaders[headers.VALIDATION_ERROR],
+      handler: messageHeaders[headers.FAILURE_HANDLER],
+      attempts: messageHeaders[headers.FAILURE_ATTEMPTS] || (death && death.count),
+      timestamp: messageHeaders[headers.FAILURE_TIMESTAMP],
+      reason: death ? death.reason : undefined,
+    },
+  };
+}
+
+function matches(message, filter) {
+  if (!filter) {
+    return true;
+  }
+  if (typeof filter === 'function') {
+    return filter(describe(message));
+  }
+  if (Array.isArray(filter)) {
+    return filter.includes(message.properties.messageId);
+  }
+  return message.properties.messageId === filter;
+}
+
+/**
+ * Inspect and replay the dead-letter queue of a `workerQueue`.
+ * Messages are fetched with basic.get and stay in the queue unless replayed or purged. Fetched messages are
+ * held unacked until the channel is closed, which returns them to the queue: a nack with requeue would count
+ * as a failed delivery and could push them past the delivery limit of a quorum queue.
+ */
+class DeadLetterQueue {
+  constructor(connectionManager, queueName, options = {}) {
+    this._connectionManager = connectionManager;
+    this.queueName = queueName;
+    this.deadLetterQueue = options.queue || deadLetterName(queueName);
+  }
+
+  async _withMessages(limit, fn) {
+    const channelWrapper = this._connectionManager.createChannel({});
+    try {
+      await channelWrapper.waitForConnect();
+      const messages = [];
+      while (messages.length < limit) {
+        const message = await channelWrapper.get(this.deadLetterQueue); // eslint-disable-line no-await-in-loop
+        if (!message) {
+          break;
+        }
+        messages.push(message);
+      }
+      return await fn(channelWrapper, messages);
+    } finally {
+      await channelWrapper.close();
+    }
+  }
+
+  async count() {
+    const channelWrapper = this._connectionManager.createChannel({});
+    try {
+      await channelWrapper.waitForConnect();
+      const { messageCount } = await channelWrapper.checkQueue(this.deadLetterQueue);
+      return messageCount;
+    } finally {
+      await channelWrapper.close();
+    }
+  }
+
+  async list({ limit = 100 } = {}) {
+    return this._withMessages(limit, async (channelWrapper, messages) => messages.map(describe));
+  }
+
+  async inspect(messageId, { limit = 1000 } = {}) {
+    const [deadLetter] = await this._withMessages(limit, async (channelWrapper, messages) =>
+      messages.filter((message) => matches(message, messageId)).map(describe),
+    );
+    return deadLetter;
+  }
+
+  // re-publishes matching dead letters to the original queue (or `queue`), resets failure headers
+  async replay({ filter, limit = 1000, queue = this.queueName } = {}) {
+    return this._withMessages(limit, async (channelWrapper, messages) => {
+      let replayed = 0;
+      for (const message of messages) {
+        if (matches(message, filter)) {
+          const { exchange, routingKey } = describe(message);
+          const replayHeaders = Object.assign({}, message.properties.headers, {
+            [headers.ORIGINAL_EXCHANGE]: exchange,
+            [headers.ORIGINAL_ROUTING_KEY]: routingKey,
+          });
+          internalHeaders.forEach((header) => delete replayHeaders[header]);
+          // eslint-disable-next-line no-await-in-loop
+          await channelWrapper.sendToQueue(
+            queue,
+            message.content,
+            Object.assign({}, message.properties, { headers: replayHeaders, expiration: undefined }),
+          );
+          channelWrapper.ack(message);
+          replayed += 1;
+        }
+      }
+      return replayed;
+    });
+  }
+
+  async purge() {
+    const channelWrapper = this._connectionManager.createChannel({});
+    try {
+      await channelWrapper.waitForConnect();
+      const { messageCount } = await channelWrapper.purgeQueue(this.deadLetterQueue);
+      return messageCount;
+    } finally {
+      await channelWrapper.close();
+    }
+  }
+}
+
+module.exports = {
+  DeadLetterQueue,
+  normalizeDeadLetterOptions,
+  deadLetterName,
+  failureHeaders,
+  describe,
+};
@@ -0,0 +1,69 @@
+/**
+ * In-memory deduplication store: remembers ids for `ttl` ms, evicting the least recently used
+ * ids beyond `maxSize`. Custom stores (Redis, a database, ...) implement `has(id)` and `add(id, ttl)`,
+ * both may return a promise.
+ */
+class MemoryDedupStore {
+  constructor({ maxSize = 10000, ttl = 24 * 60 * 60 * 1000 } = {}) {
+    this.maxSize = maxSize;
+    this.ttl = ttl;
+    this._expires = new Map();
+  }
+
+  has(id) {
+    const expires = this._expires.get(id);
+    if (expires === undefined) {
+      return false;
+    }
+    this._expires.delete(id);
+    if (expires <= Date.now()) {
+      return false;
+    }
+    // Map keeps insertion order, re-inserting marks the id as recently used
+    this._expires.set(id, expires);
+    return true;
+  }
+
+  add(id, ttl = this.ttl) {
+    this._expires.delete(id);
+    this._expires.set(id, Date.now() + ttl);
+    while (this._expires.size > this.maxSize) {
+      this._expires.delete(this._expires.keys().next().value);
+    }
+  }
+
+  get size() {
+    return this._expires.size;
+  }
+}
+
+function messageIdKey(event, properties) {
+  return properties.messageId;
+}
+
+/**
+ * Normalizes the `dedup` option of `workerQueue`.
+ * Returns undefined if deduplication is disabled.
+ */
+function normalizeDedupOptions(dedup, queueName) {
+  if (!dedup) {
+    return undefined;
+  }
+  const options = dedup === true ? {} : dedup;
+  const store = options.store || new MemoryDedupStore(options);
+  const key = options.key || messageIdKey;
+  return {
+    store,
+    ttl: options.ttl,
+    // ids are kept per queue, so queues sharing a store do not skip each other's messages
+    key: (event, properties) => {
+      const id = key(event, properties);
+      return id === undefined || id === null ? undefined : `${queueName}:${id}`;
+    },
+  };
+}
+
+module.exports = {
+  MemoryDedupStore,
+  normalizeDedupOptions,
+};
@@ -0,0 +1,128 @@
+const headers = require('./headers');
+const { normalizeExchange, normalizeQueue } = require('./topology');
+
+// the delayed message exchange plugin accepts up to 2^32 - 1 ms, the TTL fallback has one level per bit
+const LEVELS = 32;
+const MAX_DELAY = 2 ** LEVELS - 1;
+
+const PLUGIN_EXCHANGE = 'ec.amqp.delayed';
+const LEVEL_PREFIX = 'ec.amqp.delay';
+const DELIVERY_EXCHANGE = `${LEVEL_PREFIX}.deliver`;
+
+// headers exchanges do not match headers starting with `x-`
+const EXCHANGE_HEADER = 'ec-delay-exchange';
+const levelName = (level) => `${LEVEL_PREFIX}.${level}`;
+const levelHeader = (level) => `ec-delay-${level}`;
+
+function normalizeDelayedMessages(delayedMessages = 'ttl') {
+  if (!['ttl', 'plugin'].includes(delayedMessages)) {
+    throw new Error("ec.amqp: delayedMessages must be 'ttl' or 'plugin'");
+  }
+  return delayedMessages;
+}
+
+/**
+ * The ms a message published with the `delay` or `deliverAt` (a Date or timestamp) option is held back,
+ * undefined if it is not delayed. Times in the past are delivered right away.
+ */
+function messageDelay({ delay, deliverAt }) {
+  if (delay === undefined && deliverAt === undefined) {
+    return undefined;
+  }
+  if (delay !== undefined && deliverAt !== undefined) {
+    throw new Error('ec.amqp: publish accepts either delay or deliverAt, not both');
+  }
+  const ms = delay !== undefined ? Number(delay) : new Date(deliverAt).getTime() - Date.now();
+  if (Number.isNaN(ms)) {
+    throw new Error('ec.amqp: publish delay must be a number of ms, deliverAt a Date or timestamp');
+  }
+  if (ms > MAX_DELAY) {
+    throw new Error(`ec.amqp: publish delay must not exceed ${MAX_DELAY} ms (49 days)`);
+  }
+  return Math.max(0, Math.round(ms));
+}
+
+// the exchange delayed messages are published to, with the options to assert it
+function delayExchange(mechanism) {
+  return mechanism === 'plugin'
+    ? normalizeExchange(PLUGIN_EXCHANGE, { type: 'x-delayed-message', arguments: { 'x-delayed-type': 'headers' } })
+    : normalizeExchange(levelName(LEVELS - 1), { type: 'headers', alternateExchange: levelName(LEVELS - 2) });
+}
+
+/**
+ * The exchanges, queues and bindings that delay messages for `exchange`. The plugin holds messages in one
+ * x-delayed-message exchange. Without it, level n is a headers exchange with a queue that holds a message
+ * for 2^n ms if bit n of its delay is set; other messages fall through to level n - 1 (the alternate exchange).
+ * Queue n dead-letters to level n - 1, level 0 to the delivery exchange. The last exchange routes each message
+ * to its exchange, which receives it with its original routing key.
+ */
+function delayTopology(mechanism, exchange) {
+  const delivery = {
+    destinationType: 'exchange',
+    destination: exchange,
+    pattern: '',
+    arguments: { 'x-match': 'all', [EXCHANGE_HEADER]: exchange },
+  };
+  if (mechanism === 'plugin') {
+    return {
+      exchanges: [delayExchange(mechanism)],
+      queues: [],
+      bindings: [Object.assign({ source: PLUGIN_EXCHANGE }, delivery)],
+    };
+  }
+  const levels = [...Array(LEVELS).keys()].reverse();
+  const next = (level) => (level === 0 ? DELIVERY_EXCHANGE : levelName(level - 1));
+  return {
+    exchanges: [
+      normalizeExchange(DELIVERY_EXCHANGE, { type: 'headers' }),
+      ...levels.map((level) =>
+        normalizeExchange(levelName(level), { type: 'headers', alternateExchange: next(level) }),
+      ),
+    ],
+    queues: levels.map((level) =>
+      normalizeQueue(levelName(level), { type: 'classic', messageTtl: 2 ** level, deadLetterExchange: next(level) }),
+    ),
+    bindings: [
+      ...levels.map((level) => ({
+        destinationType: 'queue',
+        destination: levelName(level),
+        source: levelName(level),
+        pattern: '',
+        arguments: { 'x-match': 'all', [levelHeader(level)]: '1' },
+      })),
+      Object.assign({ source: DELIVERY_EXCHANGE }, delivery),
+    ],
+  };
+}
+
+/**
+ * Publish options that route a message through the delay topology. Consumers see the original exchange
+ * and routing key, and the time the message was due in `x-deliver-at`, whichever mechanism delayed it.
+ */
+function delayedOptions(mechanism, exchange, routingKey, options, delay) {
+  const messageHeaders = Object.assign({}, options.headers, {
+    [headers.ORIGINAL_EXCHANGE]: exchange,
+    [headers.ORIGINAL_ROUTING_KEY]: routingKey,
+    [headers.DELIVER_AT]: Date.now() + delay,
+    [EXCHANGE_HEADER]: exchange,
+  });
+  if (mechanism === 'plugin') {
+    messageHeaders['x-delay'] = delay;
+  } else {
+    [...Array(LEVELS).keys()]
+      .filter((level) => Math.floor(delay / 2 ** level) % 2 === 1)
+      .forEach((level) => {
+        messageHeaders[levelHeader(level)] = '1';
+      });
+  }
+  return Object.assign({}, options, { headers: messageHeaders });
+}
+
+module.exports = {
+  EXCHANGE_HEADER,
+  normalizeDelayedMessages,
+  messageDelay,
+  delayExchange,
+  delayTopology,
+  delayedOptions,
+};
@@ -0,0 +1,26 @@
+// resolves with true once `isDone()` returns true, or with false when the deadline has passed
+async function waitUntil(isDone, deadline, interval = 50) {
+  while (!isDone()) {
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    await new Promise((resolve) => setTimeout(resolve, Math.min(interval, deadline - Date.now()))); // eslint-disable-line no-await-in-loop
+  }
+  return true;
+}
+
+// resolves when the promise settles or the deadline has passed, whichever comes first
+function withDeadline(promise, deadline) {
+  let timer;
+  return Promise.race([
+    Promise.resolve(promise).catch(() => undefined),
+    new Promise((resolve) => {
+      timer = setTimeout(resolve, Math.max(0, deadline - Date.now()));
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  waitUntil,
+  withDeadline,
+};
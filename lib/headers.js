@@ -0,0 +1,13 @@
+// message headers set by ec.amqp when moving messages between queues
+module.exports = {
+  RETRY_COUNT: 'x-retry-count',
+  ORIGINAL_EXCHANGE: 'x-original-exchange',
+  ORIGINAL_ROUTING_KEY: 'x-original-routing-key',
+  FAILURE_ERROR: 'x-failure-error',
+  FAILURE_HANDLER: 'x-failure-handler',
+  FAILURE_ATTEMPTS: 'x-failure-attempts',
+  FAILURE_TIMESTAMP: 'x-failure-timestamp',
+  VALIDATION_ERROR: 'x-validation-error',
+  REPLY_ERROR: 'x-reply-error',
+  DELIVER_AT: 'x-deliver-at',
+};
@@ -0,0 +1,129 @@
+const http = require('http');
+
+/**
+ * Tracks the channel of a `workerQueue` or `subscribe` consumer. The consumer's setup calls `starting()`
+ * and `consume()`, the channel's `connect`, `error` and `close` events update the state.
+ * `cancel()` stops the consumer when the connection drains on shutdown.
+ */
+class ConsumerStatus {
+  constructor(queue, type, logger) {
+    this.queue = queue;
+    this.type = type;
+    this.state = 'starting';
+    this.error = undefined;
+    this._logger = logger;
+  }
+
+  starting() {
+    this.state = 'starting';
+    this.error = undefined;
+  }
+
+  // channel.consume() that remembers the consumer tag for cancel()
+  async consume(channel, queue, onMessage, options) {
+    const { consumerTag } = await channel.consume(queue, onMessage, options);
+    this._channel = channel;
+    this._consumerTag = consumerTag;
+    return { consumerTag };
+  }
+
+  async cancel() {
+    this.state = 'canceled';
+    if (!this._channel) {
+      return;
+    }
+    try {
+      await this._channel.cancel(this._consumerTag);
+    } catch (err) {
+      this._logger.warn('could not cancel consumer', { err });
+    }
+  }
+
+  watch(channelWrapper) {
+    channelWrapper.on('connect', () => {
+      if (this.state === 'starting') {
+        this.state = 'consuming';
+      }
+    });
+    channelWrapper.on('error', (err) => {
+      this.state = 'failed';
+      this.error = String(err.message || err);
+      this._logger.error('consumer channel error', { err });
+    });
+    channelWrapper.on('close', () => {
+      this.state = 'closed';
+    });
+  }
+
+  report(connected) {
+    return {
+      queue: this.queue,
+      type: this.type,
+      // channels are recreated on reconnect, until then the consumer is not consuming
+      state: connected || this.state !== 'consuming' ? this.state : 'disconnected',
+      error: this.error,
+    };
+  }
+}
+
+/**
+ * Aggregates connection reports: ready if not shutting down and every connection and consumer is up,
+ * live unless a connection has been down longer than `livenessTimeoutInSeconds`.
+ */
+function aggregate(reports, { shuttingDown = false, livenessTimeoutInSeconds = 300 } = {}) {
+  const now = Date.now();
+  const up = (report) =>
+    report.state === 'connected' && report.consumers.every((consumer) => consumer.state === 'consuming');
+  const stuck = (report) =>
+    report.state !== 'connected' &&
+    report.state !== 'closed' &&
+    now - Date.parse(report.downSince) > livenessTimeoutInSeconds * 1000;
+  const ready = !shuttingDown && reports.every(up);
+  const live = !reports.some(stuck);
+  let status = 'ok';
+  if (!live) {
+    status = 'down';
+  } else if (!ready) {
+    status = 'degraded';
+  }
+  return { status, ready, live, shuttingDown, connections: reports };
+}
+
+/**
+ * HTTP server for Kubernetes probes: `/healthz` (liveness) and `/readyz` (readiness) answer 200 or 503
+ * with the health report as JSON. The server does not keep the process alive.
+ */
+function createHealthServer(getHealth, options = {}) {
+  const { port = 9090, host, livenessPath = '/healthz', readinessPath = '/readyz' } = options;
+  const server = http.createServer(async (req, res) => {
+    const pathname = req.url.split('?')[0];
+    if (req.method !== 'GET' || (pathname !== livenessPath && pathname !== readinessPath)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('not found\n');
+      return;
+    }
+    try {
+      const health = await getHealth();
+      const ok = pathname === livenessPath ? health.live : health.ready;
+      res.writeHead(ok ? 200 : 503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(health));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(`${err.message}\n`);
+    }
+  });
+  server.unref();
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  ConsumerStatus,
+  aggregate,
+  createHealthServer,
+};
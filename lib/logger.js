@@ -0,0 +1,77 @@
+const consoleMethods = {
+  debug: 'debug',
+  info: 'log',
+  warn: 'warn',
+  error: 'error',
+};
+
+// winston loggers take `(message, meta)`, pino, bunyan and most others `(fields, message)`
+function isMessageFirst(target) {
+  return target.transports !== undefined;
+}
+
+/**
+ * Structured logging facade. Loggers created with `child()` share their target,
+ * so `setTarget()` also applies to loggers handed out before.
+ *
+ * Targets are pino/winston-style objects with `debug`, `info`, `warn` and `error` methods,
+ * `false` to log nothing, or undefined to print `[ec.amqp:<connection>]`-prefixed lines to the console.
+ */
+class Logger {
+  constructor(target, fields = {}, holder = { target }) {
+    this._holder = holder;
+    this.fields = fields;
+  }
+
+  setTarget(target) {
+    this._holder.target = target;
+  }
+
+  child(fields) {
+    return new Logger(undefined, Object.assign({}, this.fields, fields), this._holder);
+  }
+
+  _log(level, message, fields) {
+    const { target } = this._holder;
+    if (target === false) {
+      return;
+    }
+    const entry = Object.assign({}, this.fields, fields);
+    Object.keys(entry)
+      .filter((key) => entry[key] === undefined)
+      .forEach((key) => delete entry[key]);
+    if (!target) {
+      const label = entry.connection ? `[ec.amqp:${entry.connection}]` : '[ec.amqp]';
+      const args = entry.err ? [`${message}:`, entry.err] : [message];
+      console[consoleMethods[level]](label, ...args);
+    } else if (isMessageFirst(target)) {
+      target[level](message, entry);
+    } else {
+      target[level](entry, message);
+    }
+  }
+
+  debug(message, fields) {
+    this._log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this._log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this._log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this._log('error', message, fields);
+  }
+}
+
+// used by the default connection, by connections without a `logger` option and for process events
+const rootLogger = new Logger();
+
+module.exports = {
+  Logger,
+  rootLogger,
+};
@@ -0,0 +1,1146 @@
+const { EventEmitter } = require('events');
+const { v4: uuid } = require('uuid');
+const { rootLogger } = require('./logger');
+const { DELIVER_AT } = require('./headers');
+const { EXCHANGE_HEADER: DELAY_EXCHANGE_HEADER } = require('./delay');
+
+const REPLY_QUEUE = 'amq.rabbitmq.reply-to';
+const logger = rootLogger.child({ connection: 'memory' });
+
+const errorNames = {
+  403: 'ACCESS_REFUSED',
+  404: 'NOT_FOUND',
+  405: 'RESOURCE_LOCKED',
+  406: 'PRECONDITION_FAILED',
+  503: 'COMMAND_INVALID',
+};
+
+// x-delayed-message emulates the delayed message exchange plugin
+const exchangeTypes = ['direct', 'fanout', 'topic', 'headers', 'x-delayed-message'];
+
+const propertyNames = [
+  'contentType',
+  'contentEncoding',
+  'headers',
+  'deliveryMode',
+  'priority',
+  'correlationId',
+  'replyTo',
+  'expiration',
+  'messageId',
+  'timestamp',
+  'type',
+  'userId',
+  'appId',
+  'clusterId',
+];
+
+// amqplib maps these queue options to x-arguments
+const queueOptionArguments = {
+  messageTtl: 'x-message-ttl',
+  expires: 'x-expires',
+  deadLetterExchange: 'x-dead-letter-exchange',
+  deadLetterRoutingKey: 'x-dead-letter-routing-key',
+  maxLength: 'x-max-length',
+  maxPriority: 'x-max-priority',
+};
+
+// same code and message layout as the channel errors raised by amqplib
+function amqpError(code, message) {
+  const err = new Error(`${code} (${errorNames[code].replace('_', '-')}) with message "${errorNames[code]} - ${message}"`);
+  err.code = code;
+  return err;
+}
+
+// `*` matches exactly one word, `#` zero or more words
+function topicMatches(pattern, routingKey) {
+  const patternWords = pattern.split('.');
+  const keyWords = routingKey.split('.');
+  function match(p, k) {
+    if (p === patternWords.length) {
+      return k === keyWords.length;
+    }
+    if (patternWords[p] === '#') {
+      for (let next = k; next <= keyWords.length; next++) {
+        if (match(p + 1, next)) {
+          return true;
+        }
+      }
+      return false;
+    }
+    if (k === keyWords.length) {
+      return false;
+    }
+    return (patternWords[p] === '*' || patternWords[p] === keyWords[k]) && match(p + 1, k + 1);
+  }
+  return match(0, 0);
+}
+
+function headersMatch(bindingArguments = {}, headers = {}) {
+  const keys = Object.keys(bindingArguments).filter((key) => !key.startsWith('x-'));
+  const matchesKey = (key) =>
+    key in headers && (bindingArguments[key] === undefined || bindingArguments[key] === headers[key]);
+  return bindingArguments['x-match'] === 'any' ? keys.some(matchesKey) : keys.every(matchesKey);
+}
+
+function bindingMatches(exchangeType, binding, routingKey, headers) {
+  switch (exchangeType) {
+    case 'fanout':
+      return true;
+    case 'topic':
+      return topicMatches(binding.pattern, routingKey);
+    case 'headers':
+      return headersMatch(binding.arguments, headers);
+    default:
+      return binding.pattern === routingKey;
+  }
+}
+
+function toProperties(options = {}) {
+  const properties = {};
+  propertyNames.forEach((name) => {
+    properties[name] = options[name];
+  });
+  properties.headers = Object.assign({}, options.headers);
+  if (properties.deliveryMode === undefined && options.persistent !== undefined) {
+    properties.deliveryMode = options.persistent ? 2 : 1;
+  }
+  if (properties.expiration !== undefined) {
+    properties.expiration = String(properties.expiration);
+  }
+  return properties;
+}
+
+function decode(content) {
+  try {
+    return JSON.parse(content.toString());
+  } catch (err) {
+    return content.toString();
+  }
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * In-process emulation of the RabbitMQ features ec.amqp relies on: direct, fanout, topic and
+ * headers exchanges, exchange-to-exchange bindings, classic/quorum/exclusive queues, prefetch,
+ * ack/nack/requeue, message TTL, max length and overflow, delivery limits, single active consumers,
+ * consumer priorities, dead-lettering, direct reply-to and stream queues with consumer offsets.
+ * All connections created in testing mode share one broker, like services sharing a vhost.
+ * Emits `published` and `consumed` with the records it keeps for the test helpers.
+ */
+class MemoryBroker extends EventEmitter {
+  constructor() {
+    super();
+    this.reset();
+  }
+
+  // drops all exchanges, queues, messages and records, e.g. between tests
+  reset() {
+    if (this.queues) {
+      this.queues.forEach((queue) => queue.messages.forEach((entry) => clearTimeout(entry.timer)));
+      this._delayed.forEach((timer) => clearTimeout(timer));
+    }
+    this._delayed = new Set();
+    this.exchanges = new Map();
+    this.queues = new Map();
+    this.published = [];
+    this.consumed = [];
+    this._declareExchange('', 'direct');
+    this._declareExchange('amq.direct', 'direct');
+    this._declareExchange('amq.fanout', 'fanout');
+    this._declareExchange('amq.topic', 'topic');
+    this._declareExchange('amq.headers', 'headers');
+  }
+
+  checkQueue(name) {
+    const queue = this._queue(name);
+    const messageCount = queue.type === 'stream' ? queue.log.length : queue.messages.length;
+    return { queue: name, messageCount, consumerCount: queue.consumers.length };
+  }
+
+  _declareExchange(name, type, options = {}) {
+    this.exchanges.set(name, {
+      name,
+      type,
+      durable: options.durable !== false,
+      autoDelete: !!options.autoDelete,
+      arguments: Object.assign({}, options.arguments),
+      bindings: [],
+    });
+  }
+
+  _exchange(name) {
+    const exchange = this.exchanges.get(name);
+    if (!exchange) {
+      throw amqpError(404, `no exchange '${name}' in vhost '/'`);
+    }
+    return exchange;
+  }
+
+  _queue(name) {
+    const queue = this.queues.get(name);
+    if (!queue) {
+      throw amqpError(404, `no queue '${name}' in vhost '/'`);
+    }
+    return queue;
+  }
+
+  _checkOwner(queue, connectionId) {
+    if (queue.owner && queue.owner !== connectionId) {
+      throw amqpError(405, `cannot obtain exclusive access to locked queue '${queue.name}' in vhost '/'`);
+    }
+  }
+
+  assertExchange(name, type, options = {}) {
+    if (!exchangeTypes.includes(type)) {
+      throw amqpError(503, `unknown exchange type '${type}'`);
+    }
+    if (type === 'x-delayed-message' && !exchangeTypes.includes(Object(options.arguments)['x-delayed-type'])) {
+      throw amqpError(406, "Invalid argument, 'x-delayed-type' must be an existing exchange type");
+    }
+    const existing = this.exchanges.get(name);
+    if (!existing) {
+      if (name.startsWith('amq.')) {
+        throw amqpError(403, `exchange name '${name}' contains reserved prefix 'amq.*'`);
+      }
+      this._declareExchange(name, type, options);
+    } else if (existing.type !== type) {
+      throw amqpError(
+        406,
+        `inequivalent arg 'type' for exchange '${name}' in vhost '/': received '${type}' but current is '${existing.type}'`,
+      );
+    } else if (existing.durable !== (options.durable !== false)) {
+      throw amqpError(
+        406,
+        `inequivalent arg 'durable' for exchange '${name}' in vhost '/': received '${options.durable !== false}' but current is '${existing.durable}'`,
+      );
+    }
+    return { exchange: name };
+  }
+
+  deleteExchange(name) {
+    this.exchanges.delete(name);
+    this.exchanges.forEach((exchange) => {
+      exchange.bindings = exchange.bindings.filter( // eslint-disable-line no-param-reassign
+        (binding) => binding.destinationType !== 'exchange' || binding.destination !== name,
+      );
+    });
+    return {};
+  }
+
+  assertQueue(name, options = {}, connectionId) {
+    const queueName = name || `amq.gen-${uuid()}`;
+    const queueArguments = Object.assign({}, options.arguments);
+    Object.entries(queueOptionArguments).forEach(([option, argument]) => {
+      if (options[option] !== undefined) {
+        queueArguments[argument] = options[option];
+      }
+    });
+    const durable = options.durable !== false;
+    const autoDelete = !!options.autoDelete;
+    const type = queueArguments['x-queue-type'] || 'classic';
+    if (type !== 'classic') {
+      const invalid = [[!durable, 'non-durable'], [options.exclusive, 'exclusive-owner'], [autoDelete, 'auto-delete']].find(
+        ([set]) => set,
+      );
+      if (invalid) {
+        throw amqpError(406, `invalid property '${invalid[1]}' for queue '${queueName}' in vhost '/'`);
+      }
+    }
+
+    const existing = this.queues.get(queueName);
+    if (existing) {
+      this._checkOwner(existing, connectionId);
+      const inequivalent = [
+        ['durable', durable, existing.durable],
+        ['auto_delete', autoDelete, existing.autoDelete],
+        ...[...new Set([...Object.keys(queueArguments), ...Object.keys(existing.arguments)])]
+          // a redeclaration without x-queue-type uses the queue's current type
+          .filter((key) => key !== 'x-queue-type' || queueArguments[key] !== undefined)
+          .map((key) => [key, queueArguments[key], existing.arguments[key]]),
+      ].find(([, received, current]) => !sameValue(received, current));
+      if (inequivalent) {
+        const [arg, received, current] = inequivalent;
+        throw amqpError(
+          406,
+          `inequivalent arg '${arg}' for queue '${queueName}' in vhost '/': received '${received}' but current is '${current}'`,
+        );
+      }
+      return this.checkQueue(queueName);
+    }
+
+    this.queues.set(queueName, {
+      name: queueName,
+      type,
+      durable,
+      autoDelete,
+      owner: options.exclusive ? connectionId : undefined,
+      arguments: queueArguments,
+      messages: [],
+      // streams keep their messages, each consumer reads from its own offset
+      log: type === 'stream' ? [] : undefined,
+      consumers: [],
+      cursor: 0,
+    });
+    return this.checkQueue(queueName);
+  }
+
+  deleteQueue(name) {
+    const queue = this.queues.get(name);
+    if (!queue) {
+      return { messageCount: 0 };
+    }
+    queue.messages.forEach((entry) => clearTimeout(entry.timer));
+    this.queues.delete(name);
+    this.exchanges.forEach((exchange) => {
+      exchange.bindings = exchange.bindings.filter( // eslint-disable-line no-param-reassign
+        (binding) => binding.destinationType !== 'queue' || binding.destination !== name,
+      );
+    });
+    return { messageCount: queue.messages.length };
+  }
+
+  purgeQueue(name) {
+    const queue = this._queue(name);
+    const messageCount = queue.messages.length;
+    queue.messages.forEach((entry) => clearTimeout(entry.timer));
+    queue.messages = [];
+    return { messageCount };
+  }
+
+  bind(destinationType, destination, source, pattern = '', bindingArguments = {}) {
+    if (destinationType === 'queue') {
+      this._queue(destination);
+    } else {
+      this._exchange(destination);
+    }
+    const exchange = this._exchange(source);
+    if (source === '') {
+      throw amqpError(403, 'operation not permitted on the default exchange');
+    }
+    const binding = { destinationType, destination, pattern, arguments: bindingArguments };
+    if (!exchange.bindings.some((existing) => sameValue(existing, binding))) {
+      exchange.bindings.push(binding);
+    }
+    return {};
+  }
+
+  unbind(destinationType, destination, source, pattern = '', bindingArguments = {}) {
+    const exchange = this._exchange(source);
+    const binding = { destinationType, destination, pattern, arguments: bindingArguments };
+    exchange.bindings = exchange.bindings.filter((existing) => !sameValue(existing, binding));
+    return {};
+  }
+
+  _route(exchange, routingKey, headers, queues = new Set(), visited = new Set()) {
+    if (visited.has(exchange.name)) {
+      return queues;
+    }
+    visited.add(exchange.name);
+    if (exchange.name === '') {
+      if (this.queues.has(routingKey)) {
+        queues.add(this.queues.get(routingKey));
+      }
+      return queues;
+    }
+    const type = exchange.type === 'x-delayed-message' ? exchange.arguments['x-delayed-type'] : exchange.type;
+    const routed = queues.size;
+    exchange.bindings
+      .filter((binding) => bindingMatches(type, binding, routingKey, headers))
+      .forEach((binding) => {
+        if (binding.destinationType === 'queue') {
+          queues.add(this.queues.get(binding.destination));
+        } else if (this.exchanges.has(binding.destination)) {
+          this._route(this.exchanges.get(binding.destination), routingKey, headers, queues, visited);
+        }
+      });
+    // messages this exchange cannot route go to its alternate exchange
+    const alternate = exchange.arguments['alternate-exchange'];
+    if (queues.size === routed && alternate !== undefined && this.exchanges.has(alternate)) {
+      this._route(this.exchanges.get(alternate), routingKey, headers, queues, visited);
+    }
+    return queues;
+  }
+
+  // returns whether the message was routed to at least one queue and whether a full queue rejected it
+  publish(exchangeName, routingKey, content, properties) {
+    const exchange = this._exchange(exchangeName);
+    const delay = exchange.type === 'x-delayed-message' ? Number(properties.headers['x-delay']) : 0;
+    if (delay > 0) {
+      // the plugin routes the message once its x-delay has passed
+      const timer = setTimeout(() => {
+        this._delayed.delete(timer);
+        if (this.exchanges.get(exchangeName) === exchange) {
+          const headers = Object.assign({}, properties.headers, { 'x-delay': -delay });
+          this.publish(exchangeName, routingKey, content, Object.assign({}, properties, { headers }));
+        }
+      }, delay);
+      timer.unref();
+      this._delayed.add(timer);
+      return { routed: true, rejected: false };
+    }
+    const queues = this._route(exchange, routingKey, properties.headers);
+    let rejected = false;
+    queues.forEach((queue) => {
+      const enqueued = this._enqueue(queue, {
+        content: Buffer.from(content),
+        properties,
+        exchange: exchangeName,
+        routingKey,
+        redelivered: false,
+        deliveryCount: 0,
+      });
+      rejected = rejected || !enqueued;
+    });
+    return { routed: queues.size > 0, rejected };
+  }
+
+  // x-max-length and x-max-length-bytes limit the messages that are ready for delivery
+  _overLimit(queue, messages) {
+    const maxLength = queue.arguments['x-max-length'];
+    const maxLengthBytes = queue.arguments['x-max-length-bytes'];
+    return (
+      (maxLength !== undefined && messages.length > maxLength) ||
+      (maxLengthBytes !== undefined && messages.reduce((sum, { content }) => sum + content.length, 0) > maxLengthBytes)
+    );
+  }
+
+  // returns false if the queue is full and its x-overflow rejects new messages
+  _enqueue(queue, entry) {
+    if (queue.type === 'stream') {
+      queue.log.push(Object.assign(entry, { offset: queue.log.length, timestamp: Date.now() }));
+      this._schedule(queue);
+      return true;
+    }
+    const overflow = queue.arguments['x-overflow'] || 'drop-head';
+    if (overflow !== 'drop-head' && this._overLimit(queue, [...queue.messages, entry])) {
+      if (overflow === 'reject-publish-dlx') {
+        this._deadLetter(queue, entry, 'maxlen');
+      }
+      return false;
+    }
+    const ttls = [queue.arguments['x-message-ttl'], entry.properties.expiration]
+      .filter((ttl) => ttl !== undefined && ttl !== null)
+      .map(Number);
+    if (ttls.length) {
+      entry.expiresAt = Date.now() + Math.min(...ttls); // eslint-disable-line no-param-reassign
+    }
+    queue.messages.push(entry);
+    this._arm(queue, entry);
+    while (overflow === 'drop-head' && this._overLimit(queue, queue.messages)) {
+      const dropped = queue.messages.shift();
+      clearTimeout(dropped.timer);
+      this._deadLetter(queue, dropped, 'maxlen');
+    }
+    this._schedule(queue);
+    return true;
+  }
+
+  // expires messages that are still waiting in the queue once their TTL has passed
+  _arm(queue, entry) {
+    if (entry.expiresAt === undefined) {
+      return;
+    }
+    entry.timer = setTimeout(() => { // eslint-disable-line no-param-reassign
+      const index = queue.messages.indexOf(entry);
+      if (index !== -1) {
+        queue.messages.splice(index, 1);
+        this._deadLetter(queue, entry, 'expired');
+      }
+    }, Math.max(0, entry.expiresAt - Date.now()));
+    entry.timer.unref();
+  }
+
+  _requeue(queue, entry) {
+    if (this.queues.get(queue.name) !== queue) {
+      return;
+    }
+    entry.redelivered = true; // eslint-disable-line no-param-reassign
+    entry.deliveryCount += 1; // eslint-disable-line no-param-reassign
+    const deliveryLimit = queue.arguments['x-delivery-limit'];
+    if (queue.type === 'quorum' && deliveryLimit !== undefined && entry.deliveryCount > deliveryLimit) {
+      this._deadLetter(queue, entry, 'delivery_limit');
+      return;
+    }
+    // quorum queues return rejected messages to the back, classic queues to the front
+    if (queue.type === 'quorum') {
+      queue.messages.push(entry);
+    } else {
+      queue.messages.unshift(entry);
+    }
+    this._arm(queue, entry);
+    this._schedule(queue);
+  }
+
+  _deadLetter(queue, entry, reason) {
+    const exchange = queue.arguments['x-dead-letter-exchange'];
+    if (exchange === undefined || !this.exchanges.has(exchange)) {
+      return;
+    }
+    const headers = Object.assign({}, entry.properties.headers);
+    const deaths = (headers['x-death'] || []).slice();
+    const index = deaths.findIndex((death) => death.queue === queue.name && death.reason === reason);
+    const previous = index === -1 ? { count: 0 } : deaths.splice(index, 1)[0];
+    const death = Object.assign({}, previous, {
+      count: previous.count + 1,
+      reason,
+      queue: queue.name,
+      time: Math.floor(Date.now() / 1000),
+      exchange: entry.exchange,
+      'routing-keys': [entry.routingKey],
+    });
+    if (entry.properties.expiration !== undefined) {
+      death['original-expiration'] = entry.properties.expiration;
+    }
+    deaths.unshift(death);
+    headers['x-death'] = deaths;
+    if (!headers['x-first-death-reason']) {
+      headers['x-first-death-exchange'] = entry.exchange;
+      headers['x-first-death-queue'] = queue.name;
+      headers['x-first-death-reason'] = reason;
+    }
+    headers['x-last-death-exchange'] = entry.exchange;
+    headers['x-last-death-queue'] = queue.name;
+    headers['x-last-death-reason'] = reason;
+    const routingKey =
+      queue.arguments['x-dead-letter-routing-key'] !== undefined
+        ? queue.arguments['x-dead-letter-routing-key']
+        : entry.routingKey;
+    this.publish(exchange, routingKey, entry.content, Object.assign({}, entry.properties, { headers, expiration: undefined }));
+  }
+
+  _schedule(queue) {
+    if (queue.scheduled) {
+      return;
+    }
+    queue.scheduled = true; // eslint-disable-line no-param-reassign
+    setImmediate(() => {
+      queue.scheduled = false; // eslint-disable-line no-param-reassign
+      this._dispatch(queue);
+    });
+  }
+
+  // round-robin over the highest-priority consumers that have not reached their prefetch limit;
+  // with x-single-active-consumer, only the first consumer with the highest priority receives messages
+  _nextConsumer(queue) {
+    const hasRoom = (consumer) => !consumer.prefetch || consumer.unacked < consumer.prefetch;
+    if (queue.arguments['x-single-active-consumer']) {
+      const priority = Math.max(...queue.consumers.map((consumer) => consumer.priority));
+      const active = queue.consumers.find((consumer) => consumer.priority === priority);
+      return active && hasRoom(active) ? active : undefined;
+    }
+    const available = queue.consumers.filter(hasRoom);
+    if (!available.length) {
+      return undefined;
+    }
+    const priority = Math.max(...available.map((consumer) => consumer.priority));
+    const count = queue.consumers.length;
+    for (let i = 0; i < count; i++) {
+      const index = (queue.cursor + i) % count;
+      const consumer = queue.consumers[index];
+      if (consumer.priority === priority && hasRoom(consumer)) {
+        queue.cursor = (index + 1) % count; // eslint-disable-line no-param-reassign
+        return consumer;
+      }
+    }
+    return undefined;
+  }
+
+  // where a new stream consumer starts reading, from its x-stream-offset argument
+  _streamOffset(queue, offset = 'next') {
+    const { log } = queue;
+    if (offset === 'first') {
+      return 0;
+    }
+    if (offset === 'last') {
+      return Math.max(log.length - 1, 0);
+    }
+    if (offset === 'next') {
+      return log.length;
+    }
+    if (offset && offset['!'] === 'timestamp') {
+      const index = log.findIndex((entry) => Math.floor(entry.timestamp / 1000) >= offset.value);
+      return index === -1 ? log.length : index;
+    }
+    return Number(offset);
+  }
+
+  _dispatch(queue) {
+    if (this.queues.get(queue.name) !== queue) {
+      return;
+    }
+    if (queue.type === 'stream') {
+      queue.consumers.forEach((consumer) => {
+        while (consumer.offset < queue.log.length && consumer.unacked < consumer.prefetch) {
+          const entry = queue.log[consumer.offset];
+          consumer.offset += 1; // eslint-disable-line no-param-reassign
+          const message = consumer.channel._track(queue, entry, consumer, false);
+          setImmediate(() => consumer.callback(message));
+        }
+      });
+      return;
+    }
+    while (queue.messages.length) {
+      const consumer = this._nextConsumer(queue);
+      if (!consumer) {
+        return;
+      }
+      const entry = queue.messages.shift();
+      clearTimeout(entry.timer);
+      const message = consumer.channel._track(queue, entry, consumer, consumer.noAck);
+      setImmediate(() => consumer.callback(message));
+    }
+  }
+
+  _take(queue) {
+    const entry = queue.messages.shift();
+    if (entry) {
+      clearTimeout(entry.timer);
+    }
+    return entry;
+  }
+
+  // delayed messages are recorded with the exchange they are delivered to once due
+  _recordPublished(connectionName, exchange, routingKey, content, properties, routed) {
+    const delayedTo = properties.headers[DELAY_EXCHANGE_HEADER];
+    const record = {
+      connection: connectionName,
+      exchange: delayedTo !== undefined ? delayedTo : exchange,
+      routingKey,
+      type: properties.type,
+      messageId: properties.messageId,
+      event: decode(content),
+      content: Buffer.from(content),
+      properties,
+      routed,
+      deliverAt: properties.headers[DELIVER_AT],
+      timestamp: Date.now(),
+    };
+    this.published.push(record);
+    this.emit('published', record);
+  }
+
+  // outcome is `ack`, `nack` (dropped or dead-lettered) or `requeue`; noAck deliveries count as acked
+  _recordConsumed(queue, entry, outcome) {
+    const record = {
+      queue: queue.name,
+      exchange: entry.exchange,
+      routingKey: entry.routingKey,
+      type: entry.properties.type,
+      messageId: entry.properties.messageId,
+      event: decode(entry.content),
+      properties: entry.properties,
+      redelivered: entry.redelivered,
+      outcome,
+      timestamp: Date.now(),
+    };
+    this.consumed.push(record);
+    this.emit('consumed', record);
+  }
+
+  _closeConnection(connectionId) {
+    [...this.queues.values()]
+      .filter((queue) => queue.owner === connectionId)
+      .forEach((queue) => this.deleteQueue(queue.name));
+  }
+}
+
+/**
+ * Emulates an amqplib confirm channel on top of a `MemoryBroker`.
+ */
+class MemoryChannel extends EventEmitter {
+  constructor(connectionManager, confirm) {
+    super();
+    this.broker = connectionManager.broker;
+    this._connectionId = connectionManager.id;
+    this._connectionName = connectionManager.name;
+    this._confirm = confirm;
+    this._prefetch = 0;
+    this._deliveryTag = 0;
+    this._unacked = new Map();
+    this._consumers = new Map();
+    this._closed = false;
+  }
+
+  _track(queue, entry, consumer, noAck) {
+    this._deliveryTag += 1;
+    const properties = Object.assign({}, entry.properties, { headers: Object.assign({}, entry.properties.headers) });
+    if (queue.type === 'quorum' && entry.deliveryCount) {
+      properties.headers['x-delivery-count'] = entry.deliveryCount;
+    }
+    if (queue.type === 'stream') {
+      properties.headers['x-stream-offset'] = entry.offset;
+    }
+    const message = {
+      content: Buffer.from(entry.content),
+      fields: {
+        consumerTag: consumer ? consumer.tag : undefined,
+        deliveryTag: this._deliveryTag,
+        redelivered: entry.redelivered,
+        exchange: entry.exchange,
+        routingKey: entry.routingKey,
+      },
+      properties,
+    };
+    if (!noAck) {
+      this._unacked.set(this._deliveryTag, { queue, entry, consumer });
+      if (consumer) {
+        consumer.unacked += 1; // eslint-disable-line no-param-reassign
+      }
+    } else if (consumer) {
+      this.broker._recordConsumed(queue, entry, 'ack');
+    }
+    return message;
+  }
+
+  _checkOpen() {
+    if (this._closed) {
+      const err = new Error('Channel closed');
+      err.name = 'IllegalOperationError';
+      throw err;
+    }
+  }
+
+  async assertExchange(exchange, type, options) {
+    this._checkOpen();
+    return this.broker.assertExchange(exchange, type, options);
+  }
+
+  async checkExchange(exchange) {
+    this._checkOpen();
+    this.broker._exchange(exchange);
+    return {};
+  }
+
+  async deleteExchange(exchange) {
+    this._checkOpen();
+    return this.broker.deleteExchange(exchange);
+  }
+
+  async bindExchange(destination, source, pattern, args) {
+    this._checkOpen();
+    return this.broker.bind('exchange', destination, source, pattern, args);
+  }
+
+  async unbindExchange(destination, source, pattern, args) {
+    this._checkOpen();
+    return this.broker.unbind('exchange', destination, source, pattern, args);
+  }
+
+  async assertQueue(queue, options) {
+    this._checkOpen();
+    return this.broker.assertQueue(queue, options, this._connectionId);
+  }
+
+  async checkQueue(queue) {
+    this._checkOpen();
+    return this.broker.checkQueue(queue);
+  }
+
+  async deleteQueue(queue) {
+    this._checkOpen();
+    return this.broker.deleteQueue(queue);
+  }
+
+  async purgeQueue(queue) {
+    this._checkOpen();
+    return this.broker.purgeQueue(queue);
+  }
+
+  async bindQueue(queue, source, pattern, args) {
+    this._checkOpen();
+    return this.broker.bind('queue', queue, source, pattern, args);
+  }
+
+  async unbindQueue(queue, source, pattern, args) {
+    this._checkOpen();
+    return this.broker.unbind('queue', queue, source, pattern, args);
+  }
+
+  // like basic.qos without the global flag, applies to consumers started afterwards
+  async prefetch(count) {
+    this._checkOpen();
+    this._prefetch = count;
+    return {};
+  }
+
+  async consume(queueName, callback, options = {}) {
+    this._checkOpen();
+    let name = queueName;
+    if (queueName === REPLY_QUEUE) {
+      if (!options.noAck) {
+        throw amqpError(406, 'reply consumer cannot acknowledge');
+      }
+      this._replyTo = `${REPLY_QUEUE}.${uuid()}`;
+      this.broker.assertQueue(this._replyTo, { durable: false, exclusive: true, autoDelete: true }, this._connectionId);
+      name = this._replyTo;
+    }
+    const queue = this.broker._queue(name);
+    this.broker._checkOwner(queue, this._connectionId);
+    if (queue.consumers.some((consumer) => consumer.exclusive) || (options.exclusive && queue.consumers.length)) {
+      throw amqpError(403, `queue '${name}' in vhost '/' in exclusive use`);
+    }
+    if (queue.type === 'stream' && (options.noAck || !this._prefetch)) {
+      throw amqpError(406, `stream queue '${name}' in vhost '/' requires manual acknowledgement and a prefetch count`);
+    }
+    const consumerArguments = Object(options.arguments);
+    const consumer = {
+      tag: options.consumerTag || `amq.ctag-${uuid()}`,
+      queue,
+      channel: this,
+      callback,
+      noAck: !!options.noAck,
+      exclusive: !!options.exclusive,
+      // amqplib sends the priority option as x-priority
+      priority: Number(options.priority !== undefined ? options.priority : consumerArguments['x-priority']) || 0,
+      prefetch: this._prefetch,
+      unacked: 0,
+    };
+    if (queue.type === 'stream') {
+      consumer.offset = this.broker._streamOffset(queue, consumerArguments['x-stream-offset']);
+    }
+    queue.consumers.push(consumer);
+    this._consumers.set(consumer.tag, consumer);
+    this.broker._schedule(queue);
+    return { consumerTag: consumer.tag };
+  }
+
+  async cancel(consumerTag) {
+    const consumer = this._consumers.get(consumerTag);
+    if (!consumer) {
+      return {};
+    }
+    this._consumers.delete(consumerTag);
+    const { queue } = consumer;
+    queue.consumers = queue.consumers.filter((c) => c !== consumer);
+    if (queue.autoDelete && !queue.consumers.length) {
+      this.broker.deleteQueue(queue.name);
+    }
+    return { consumerTag };
+  }
+
+  async get(queueName, options = {}) {
+    this._checkOpen();
+    const queue = this.broker._queue(queueName);
+    this.broker._checkOwner(queue, this._connectionId);
+    const entry = this.broker._take(queue);
+    if (!entry) {
+      return false;
+    }
+    const message = this._track(queue, entry, undefined, options.noAck);
+    message.fields.messageCount = queue.messages.length;
+    return message;
+  }
+
+  publish(exchange, routingKey, content, options = {}, callback) {
+    this._checkOpen();
+    const properties = toProperties(options);
+    if (properties.replyTo === REPLY_QUEUE) {
+      if (!this._replyTo) {
+        throw amqpError(406, 'fast reply consumer does not exist');
+      }
+      properties.replyTo = this._replyTo;
+    }
+    const { routed, rejected } = this.broker.publish(exchange, routingKey, content, properties);
+    this.broker._recordPublished(this._connectionName, exchange, routingKey, content, properties, routed);
+    if (!routed && options.mandatory) {
+      // basic.return is always sent before the confirm
+      this.emit('return', {
+        content: Buffer.from(content),
+        fields: { replyCode: 312, replyText: 'NO_ROUTE', exchange, routingKey },
+        properties,
+      });
+    }
+    if (this._confirm && callback) {
+      setImmediate(() => callback(rejected ? new Error('message nacked') : null));
+    }
+    return true;
+  }
+
+  sendToQueue(queue, content, options, callback) {
+    return this.publish('', queue, content, options, callback);
+  }
+
+  _settle(message, allUpTo, outcome, settle) {
+    const { deliveryTag } = message.fields;
+    if (!this._unacked.has(deliveryTag)) {
+      // RabbitMQ closes the channel with PRECONDITION_FAILED - unknown delivery tag
+      logger.warn(`unknown delivery tag ${deliveryTag}, was the message acked or nacked twice?`, {
+        messageId: message.properties.messageId,
+      });
+      return;
+    }
+    const tags = allUpTo ? [...this._unacked.keys()].filter((tag) => tag <= deliveryTag) : [deliveryTag];
+    tags.forEach((tag) => {
+      const delivery = this._unacked.get(tag);
+      this._unacked.delete(tag);
+      if (delivery.consumer) {
+        delivery.consumer.unacked -= 1;
+      }
+      settle(delivery);
+      if (delivery.consumer) {
+        this.broker._recordConsumed(delivery.queue, delivery.entry, outcome);
+      }
+      this.broker._schedule(delivery.queue);
+    });
+  }
+
+  ack(message, allUpTo = false) {
+    this._settle(message, allUpTo, 'ack', () => {});
+  }
+
+  ackAll() {
+    const tags = [...this._unacked.keys()];
+    if (tags.length) {
+      this.ack({ fields: { deliveryTag: Math.max(...tags) } }, true);
+    }
+  }
+
+  nack(message, allUpTo = false, requeue = true) {
+    this._settle(message, allUpTo, requeue ? 'requeue' : 'nack', ({ queue, entry }) => {
+      if (queue.type === 'stream') {
+        // streams keep their messages, settling only makes room for the next delivery
+        return;
+      }
+      if (requeue) {
+        this.broker._requeue(queue, entry);
+      } else {
+        this.broker._deadLetter(queue, entry, 'rejected');
+      }
+    });
+  }
+
+  nackAll(requeue = true) {
+    const tags = [...this._unacked.keys()];
+    if (tags.length) {
+      this.nack({ fields: { deliveryTag: Math.max(...tags) } }, true, requeue);
+    }
+  }
+
+  reject(message, requeue = true) {
+    this.nack(message, false, requeue);
+  }
+
+  async waitForConfirms() {
+    return undefined;
+  }
+
+  // unacked messages are requeued as redelivered, like when a channel closes on a real broker
+  async close() {
+    if (this._closed) {
+      return;
+    }
+    await Promise.all([...this._consumers.keys()].map((tag) => this.cancel(tag)));
+    this._closed = true;
+    [...this._unacked.values()].reverse().forEach(({ queue, entry }) => {
+      if (queue.type === 'stream') {
+        return;
+      }
+      entry.redelivered = true; // eslint-disable-line no-param-reassign
+      if (this.broker.queues.get(queue.name) === queue) {
+        queue.messages.unshift(entry);
+        this.broker._arm(queue, entry);
+        this.broker._schedule(queue);
+      }
+    });
+    this._unacked.clear();
+    this.emit('close');
+  }
+}
+
+/**
+ * Drop-in replacement for an amqp-connection-manager ChannelWrapper.
+ * Setups run asynchronously after creation, publishes wait for them to finish.
+ */
+class MemoryChannelWrapper extends EventEmitter {
+  constructor(connectionManager, options = {}) {
+    super();
+    this.name = options.name;
+    this._connectionManager = connectionManager;
+    this._json = !!options.json;
+    this._setups = options.setup ? [options.setup] : [];
+    this._channel = new MemoryChannel(connectionManager, options.confirm !== false);
+    this._settingUp = new Promise((resolve) => setImmediate(resolve))
+      .then(() => Promise.all(this._setups.map((setup) => this._runSetup(setup).catch((err) => this._setupFailed(err)))))
+      .then(() => {
+        this._settingUp = undefined;
+        if (!this._closed) {
+          this.emit('connect');
+        }
+      });
+  }
+
+  async _runSetup(setup) {
+    return setup.call(this, this._channel);
+  }
+
+  _setupFailed(err) {
+    if (this.listenerCount('error')) {
+      this.emit('error', err, { name: this.name });
+    } else {
+      logger.error(`channel setup failed: ${err.message}`);
+    }
+  }
+
+  async addSetup(setup) {
+    this._setups.push(setup);
+    if (this._settingUp) {
+      await this._settingUp;
+    }
+    if (!this._closed) {
+      await this._runSetup(setup);
+    }
+  }
+
+  async removeSetup(setup, teardown) {
+    this._setups = this._setups.filter((s) => s !== setup);
+    if (teardown && !this._closed) {
+      await teardown.call(this, this._channel);
+    }
+  }
+
+  async waitForConnect() {
+    return this._settingUp;
+  }
+
+  queueLength() {
+    return 0;
+  }
+
+  async publish(exchange, routingKey, content, options = {}) {
+    const { timeout, ...publishOptions } = options; // eslint-disable-line no-unused-vars
+    const buffer = this._json && !Buffer.isBuffer(content) ? Buffer.from(JSON.stringify(content)) : content;
+    if (this._settingUp) {
+      await this._settingUp;
+    }
+    if (this._closed) {
+      throw new Error('Channel closed');
+    }
+    return new Promise((resolve, reject) => {
+      this._channel.publish(exchange, routingKey, buffer, publishOptions, (err) => (err ? reject(err) : resolve(true)));
+    });
+  }
+
+  async sendToQueue(queue, content, options) {
+    return this.publish('', queue, content, options);
+  }
+
+  async consume(queue, onMessage, options = {}) {
+    if (this._settingUp) {
+      await this._settingUp;
+    }
+    const { prefetch, ...consumeOptions } = options;
+    if (typeof prefetch === 'number') {
+      await this._channel.prefetch(prefetch);
+    }
+    return this._channel.consume(queue, onMessage, consumeOptions);
+  }
+
+  async cancel(consumerTag) {
+    await this._channel.cancel(consumerTag);
+  }
+
+  async cancelAll() {
+    await Promise.all([...this._channel._consumers.keys()].map((tag) => this._channel.cancel(tag)));
+  }
+
+  ack(message, allUpTo) {
+    this._channel.ack(message, allUpTo);
+  }
+
+  ackAll() {
+    this._channel.ackAll();
+  }
+
+  nack(message, allUpTo, requeue) {
+    this._channel.nack(message, allUpTo, requeue);
+  }
+
+  nackAll(requeue) {
+    this._channel.nackAll(requeue);
+  }
+
+  async close() {
+    if (this._closed) {
+      return;
+    }
+    this._closed = true;
+    this._connectionManager._channels.delete(this);
+    await this._channel.close();
+    this.emit('close');
+  }
+}
+
+// channel operations that are passed through to the underlying channel
+[
+  'assertExchange',
+  'checkExchange',
+  'deleteExchange',
+  'bindExchange',
+  'unbindExchange',
+  'assertQueue',
+  'checkQueue',
+  'deleteQueue',
+  'purgeQueue',
+  'bindQueue',
+  'unbindQueue',
+  'get',
+].forEach((method) => {
+  MemoryChannelWrapper.prototype[method] = function channelOperation(...args) {
+    if (this._closed) {
+      return Promise.reject(new Error('Not connected.'));
+    }
+    return this._channel[method](...args);
+  };
+});
+
+/**
+ * Drop-in replacement for an AmqpConnectionManager that is connected to a `MemoryBroker`.
+ */
+class MemoryConnectionManager extends EventEmitter {
+  constructor(broker, name) {
+    super();
+    this.broker = broker;
+    this.name = name;
+    this.id = uuid();
+    this._channels = new Set();
+    this._closed = false;
+    setImmediate(() => {
+      if (!this._closed) {
+        this.emit('connect', { connection: this, url: 'memory://localhost' });
+      }
+    });
+  }
+
+  createChannel(options) {
+    const channelWrapper = new MemoryChannelWrapper(this, options);
+    this._channels.add(channelWrapper);
+    return channelWrapper;
+  }
+
+  isConnected() {
+    return !this._closed;
+  }
+
+  async connect() {
+    return undefined;
+  }
+
+  async close() {
+    if (this._closed) {
+      return;
+    }
+    this._closed = true;
+    await Promise.all([...this._channels].map((channelWrapper) => channelWrapper.close()));
+    this.broker._closeConnection(this.id);
+  }
+}
+
+module.exports = {
+  MemoryBroker,
+  MemoryConnectionManager,
+  topicMatches,
+};
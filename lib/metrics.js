@@ -0,0 +1,262 @@
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+const defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this._series = new Map();
+  }
+
+  _get(labels = {}, create) {
+    const values = this.labelNames.map((labelName) => (labels[labelName] === undefined ? '' : String(labels[labelName])));
+    const key = values.join('\u0000');
+    if (!this._series.has(key)) {
+      const seriesLabels = {};
+      this.labelNames.forEach((labelName, i) => {
+        seriesLabels[labelName] = values[i];
+      });
+      this._series.set(key, Object.assign({ labels: seriesLabels }, create()));
+    }
+    return this._series.get(key);
+  }
+
+  reset() {
+    this._series.clear();
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    this._get(labels, () => ({ value: 0 })).value += value;
+  }
+
+  samples() {
+    return [...this._series.values()].map(({ labels, value }) => ({ suffix: '_total', labels, value }));
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this._get(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels, value = 1) {
+    this._get(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  samples() {
+    return [...this._series.values()].map(({ labels, value }) => ({ suffix: '', labels, value }));
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = defaultBuckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this._get(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  // returns a function that observes the seconds elapsed since startTimer was called
+  startTimer(labels) {
+    const start = process.hrtime.bigint();
+    return () => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  samples() {
+    return [...this._series.values()].reduce(
+      (samples, { labels, counts, sum, count }) =>
+        samples.concat(
+          this.buckets.map((bound, i) => ({
+            suffix: '_bucket',
+            labels: Object.assign({}, labels, { le: formatValue(bound) }),
+            value: counts[i],
+          })),
+          { suffix: '_bucket', labels: Object.assign({}, labels, { le: '+Inf' }), value: count },
+          { suffix: '_sum', labels, value: sum },
+          { suffix: '_count', labels, value: count },
+        ),
+      [],
+    );
+  }
+}
+
+/**
+ * Minimal metrics registry that renders the OpenMetrics text format
+ * and can expose its metrics through a prom-client registry.
+ */
+class MetricsRegistry {
+  constructor() {
+    this._metrics = [];
+    this.contentType = CONTENT_TYPE;
+  }
+
+  _register(metric) {
+    this._metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this._register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this._register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames = [], buckets) {
+    return this._register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    const families = this._metrics.map((metric) => {
+      const lines = [`# TYPE ${metric.name} ${metric.type}`, `# HELP ${metric.name} ${metric.help}`];
+      metric.samples().forEach(({ suffix, labels, value }) => {
+        lines.push(`${metric.name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+      });
+      return lines.join('\n');
+    });
+    return `${families.join('\n')}\n# EOF\n`;
+  }
+
+  reset() {
+    this._metrics.forEach((metric) => metric.reset());
+  }
+
+  // registers collectors that read the current values whenever prom-client is scraped
+  registerWith(promRegistry) {
+    this._metrics.forEach((metric) => {
+      // prom-client names counters with their `_total` suffix and strips it for OpenMetrics output
+      const collector = {
+        name: metric.type === 'counter' ? `${metric.name}_total` : metric.name,
+        help: metric.help,
+        type: metric.type,
+        aggregator: 'sum',
+        get: async () => ({
+          name: collector.name,
+          help: metric.help,
+          type: metric.type,
+          aggregator: 'sum',
+          values: metric.samples().map(({ suffix, labels, value }) => ({
+            metricName: metric.type === 'histogram' ? `${metric.name}${suffix}` : undefined,
+            labels,
+            value,
+          })),
+        }),
+        reset: () => metric.reset(),
+      };
+      promRegistry.registerMetric(collector);
+    });
+  }
+}
+
+const metricsRegistry = new MetricsRegistry();
+
+const metrics = {
+  connects: metricsRegistry.counter('ec_amqp_connects', 'Connections established to RabbitMQ.', ['connection']),
+  disconnects: metricsRegistry.counter('ec_amqp_disconnects', 'Connections lost or closed.', ['connection']),
+  connectFailures: metricsRegistry.counter('ec_amqp_connect_failures', 'Failed connection attempts.', ['connection']),
+  messagesConsumed: metricsRegistry.counter('ec_amqp_messages_consumed', 'Messages delivered to consumers.', [
+    'connection',
+    'queue',
+  ]),
+  messagesAcked: metricsRegistry.counter('ec_amqp_messages_acked', 'Messages acked by handlers.', ['connection', 'queue']),
+  messagesNacked: metricsRegistry.counter('ec_amqp_messages_nacked', 'Messages nacked by handlers.', [
+    'connection',
+    'queue',
+    'requeue',
+  ]),
+  messagesRedirected: metricsRegistry.counter('ec_amqp_messages_redirected', 'Messages nacked to a redirect queue.', [
+    'connection',
+    'queue',
+    'redirect_queue',
+  ]),
+  messagesDeduplicated: metricsRegistry.counter(
+    'ec_amqp_messages_deduplicated',
+    'Messages skipped because their id was already processed.',
+    ['connection', 'queue'],
+  ),
+  messagesInFlight: metricsRegistry.gauge('ec_amqp_messages_in_flight', 'Delivered messages not acked or nacked yet.', [
+    'connection',
+    'queue',
+  ]),
+  handlerDuration: metricsRegistry.histogram('ec_amqp_handler_duration_seconds', 'Duration of handler calls.', [
+    'connection',
+    'queue',
+  ]),
+  handlerErrors: metricsRegistry.counter('ec_amqp_handler_errors', 'Handler calls that threw.', ['connection', 'queue']),
+  messagesPublished: metricsRegistry.counter('ec_amqp_messages_published', 'Messages published.', [
+    'connection',
+    'exchange',
+  ]),
+  messagesDelayed: metricsRegistry.counter('ec_amqp_messages_delayed', 'Messages published with a delay.', [
+    'connection',
+    'exchange',
+  ]),
+  publishFailures: metricsRegistry.counter('ec_amqp_publish_failures', 'Publishes that failed or were rejected.', [
+    'connection',
+    'exchange',
+  ]),
+  publishesRejected: metricsRegistry.counter(
+    'ec_amqp_publishes_rejected',
+    'Publishes rejected by maxInFlight, the rate limit or an open circuit breaker.',
+    ['connection', 'exchange', 'reason'],
+  ),
+  publishesInFlight: metricsRegistry.gauge(
+    'ec_amqp_publishes_in_flight',
+    'Publishes buffered or waiting for the broker confirm.',
+    ['connection', 'exchange'],
+  ),
+  publishCircuitsOpen: metricsRegistry.gauge(
+    'ec_amqp_publish_circuits_open',
+    'Publish channels whose circuit breaker is open or half-open.',
+    ['connection', 'exchange'],
+  ),
+};
+
+module.exports = {
+  MetricsRegistry,
+  metricsRegistry,
+  metrics,
+};
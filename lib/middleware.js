@@ -0,0 +1,29 @@
+/**
+ * Composes consumer middleware around a handler. Middleware is called as
+ * `middleware(event, properties, context, next)` and calls `await next()` to continue with the next
+ * middleware and finally the handler, which is called as `handler(event, properties, context)`.
+ * `next()` resolves with the handler's result and rejects with its error.
+ */
+function compose(middleware, handler) {
+  if (!middleware.length) {
+    return handler;
+  }
+  return (event, properties, context) => {
+    let index = -1;
+    const dispatch = async (i) => {
+      if (i <= index) {
+        throw new Error('ec.amqp: next() called multiple times');
+      }
+      index = i;
+      if (i === middleware.length) {
+        return handler(event, properties, context);
+      }
+      return middleware[i](event, properties, context, () => dispatch(i + 1));
+    };
+    return dispatch(0);
+  };
+}
+
+module.exports = {
+  compose,
+};
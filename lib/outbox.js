@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+const { delayExchange, delayTopology, delayedOptions } = require('./delay');
+const { normalizeExchange, assertTopology } = require('./topology');
+
+/**
+ * Append-only JSON lines journal. Each line either adds an entry or removes one by id;
+ * the file is truncated when the backlog is empty and compacted when it grows too long.
+ * Parked entries are appended to a second journal next to it (`parkedPath`).
+ */
+class FileOutboxAdapter {
+  constructor(filePath, { fsync = true, compactAfter = 10000, parkedPath } = {}) {
+    this.filePath = path.resolve(filePath);
+    this.parkedPath = path.resolve(parkedPath || this.filePath.replace(/(\.jsonl)?$/, '.parked.jsonl'));
+    this._fsync = fsync;
+    this._compactAfter = compactAfter;
+    this._pending = new Map();
+    this._lines = 0;
+    this._writes = Promise.resolve();
+    this._load();
+  }
+
+  _load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+    fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .forEach((line) => {
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (err) {
+          // a torn last line after a crash; the entry was never acknowledged to the caller
+          return;
+        }
+        if (record.add) {
+          this._pending.set(record.add.id, record.add);
+        } else if (record.remove) {
+          this._pending.delete(record.remove);
+        }
+        this._lines += 1;
+      });
+  }
+
+  // serializes all file operations so journal lines keep their order
+  _write(fn) {
+    this._writes = this._writes.then(fn, fn);
+    return this._writes;
+  }
+
+  async _append(record, filePath = this.filePath) {
+    const handle = await fs.promises.open(filePath, 'a');
+    try {
+      await handle.appendFile(`${JSON.stringify(record)}\n`);
+      if (this._fsync) {
+        await handle.sync();
+      }
+    } finally {
+      await handle.close();
+    }
+    if (filePath === this.filePath) {
+      this._lines += 1;
+    }
+  }
+
+  async _rewrite() {
+    const tmpPath = `${this.filePath}.tmp`;
+    const content = [...this._pending.values()].map((entry) => `${JSON.stringify({ add: entry })}\n`).join('');
+    await fs.promises.writeFile(tmpPath, content);
+    await fs.promises.rename(tmpPath, this.filePath);
+    this._lines = this._pending.size;
+  }
+
+  append(entry) {
+    return this._write(async () => {
+      await this._append({ add: entry });
+      this._pending.set(entry.id, entry);
+    });
+  }
+
+  list(limit) {
+    return [...this._pending.values()].slice(0, limit);
+  }
+
+  remove(id) {
+    return this._write(async () => {
+      this._pending.delete(id);
+      if (!this._pending.size || this._lines >= this._compactAfter) {
+        await this._rewrite();
+      } else {
+        await this._append({ remove: id });
+      }
+    });
+  }
+
+  size() {
+    return this._pending.size;
+  }
+
+  // keeps an entry the outbox gave up on; it is removed from the backlog afterwards
+  park(entry, err) {
+    const record = Object.assign({}, entry, { error: String((err && err.message) || err), parkedAt: Date.now() });
+    return this._write(() => this._append(record, this.parkedPath));
+  }
+}
+
+function normalizeOutboxOptions(outbox, connectionName) {
+  if (!outbox) {
+    return undefined;
+  }
+  const options = outbox === true ? {} : outbox;
+  const { maxAttempts = 5 } = options;
+  if (!(Number.isInteger(maxAttempts) && maxAttempts >= 1)) {
+    throw new Error('ec.amqp: outbox maxAttempts must be an integer of at least 1');
+  }
+  if (options.adapter) {
+    return { adapter: options.adapter, maxAttempts };
+  }
+  const filePath = options.path || path.join(process.cwd(), '.ec-amqp-outbox', `${connectionName || 'default'}.jsonl`);
+  return { adapter: new FileOutboxAdapter(filePath, options), maxAttempts };
+}
+
+/**
+ * Persists messages before they are published and flushes them in order once connected.
+ * Adapters implement `append(entry)`, `list(limit)`, `remove(id)` and `size()`, each may return a promise,
+ * and optionally `park(entry, err)` to keep entries that failed `maxAttempts` times while connected.
+ */
+class Outbox {
+  constructor(connectionManager, { adapter, maxAttempts, delayMechanism }, logger) {
+    this._connectionManager = connectionManager;
+    this._adapter = adapter;
+    this._maxAttempts = maxAttempts;
+    this._delayMechanism = delayMechanism;
+    this._logger = logger;
+    this._channelWrapper = connectionManager.createChannel({ confirm: true });
+    // exchanges and delay topologies (by target exchange) asserted since the channel connected
+    this._exchanges = new Set();
+    this._delayTopologies = new Set();
+    this._attempts = new Map();
+    this._channelWrapper.on('connect', () => {
+      this._exchanges.clear();
+      this._delayTopologies.clear();
+    });
+    this._onConnect = () => {
+      clearTimeout(this._retryTimer);
+      this._retryTimer = undefined;
+      this.flush();
+    };
+    connectionManager.on('connect', this._onConnect);
+  }
+
+  async add(entry) {
+    await this._adapter.append(entry);
+    // after a failed flush, new messages wait for the retry so they do not use up the attempts of the failed one
+    if (!this._retryTimer) {
+      this.flush();
+    }
+    return true;
+  }
+
+  async size() {
+    return this._adapter.size();
+  }
+
+  flush() {
+    if (this._flushing) {
+      this._flushAgain = true;
+      return this._flushing;
+    }
+    this._flushing = this._flush()
+      .catch((err) => {
+        if (this._closed) {
+          return;
+        }
+        this._logger.error('outbox flush failed, retrying in 5s', { err });
+        this._flushAgain = false;
+        clearTimeout(this._retryTimer);
+        this._retryTimer = setTimeout(() => {
+          this._retryTimer = undefined;
+          this.flush();
+        }, 5000);
+        this._retryTimer.unref();
+      })
+      .finally(() => {
+        this._flushing = undefined;
+        if (this._flushAgain && !this._closed) {
+          this._flushAgain = false;
+          this.flush();
+        }
+      });
+    return this._flushing;
+  }
+
+  async _flush() {
+    while (!this._closed && this._connectionManager.isConnected()) {
+      const entries = await this._adapter.list(100); // eslint-disable-line no-await-in-loop
+      if (!entries.length) {
+        return;
+      }
+      for (const entry of entries) {
+        await this._flushEntry(entry); // eslint-disable-line no-await-in-loop
+      }
+    }
+  }
+
+  async _flushEntry(entry) {
+    try {
+      await this._publish(entry);
+    } catch (err) {
+      await this._failed(entry, err);
+      return;
+    }
+    this._attempts.delete(entry.id);
+    await this._adapter.remove(entry.id);
+  }
+
+  // rethrows to retry the flush later; an entry that failed `maxAttempts` times while connected is parked instead,
+  // so it does not hold back the entries after it
+  async _failed(entry, err) {
+    if (this._closed || !this._connectionManager.isConnected()) {
+      throw err;
+    }
+    const attempts = (this._attempts.get(entry.id) || 0) + 1;
+    if (attempts < this._maxAttempts) {
+      this._attempts.set(entry.id, attempts);
+      throw err;
+    }
+    this._attempts.delete(entry.id);
+    const { id, exchange, routingKey } = entry;
+    const messageId = entry.options && entry.options.messageId;
+    this._logger.error(`outbox entry failed ${attempts} times, parking it`, {
+      id,
+      exchange,
+      routingKey,
+      messageId,
+      err,
+    });
+    if (this._adapter.park) {
+      await this._adapter.park(entry, err);
+    }
+    await this._adapter.remove(id);
+  }
+
+  async _publish(entry) {
+    const exchange = normalizeExchange(entry.exchange, {
+      type: entry.exchangeType,
+      durable: entry.durable,
+      arguments: entry.exchangeArguments,
+    });
+    if (!this._exchanges.has(entry.exchange)) {
+      await this._assertTopology({ exchanges: [exchange], queues: [], bindings: [] });
+      this._exchanges.add(entry.exchange);
+    }
+    if (entry.deliverAt !== undefined) {
+      return this._publishDelayed(entry);
+    }
+    return this._channelWrapper.publish(
+      entry.exchange,
+      entry.routingKey,
+      Buffer.from(entry.content, 'base64'),
+      Object.assign({}, entry.options, { timeout: 30000 }),
+    );
+  }
+
+  // delayed entries are routed through the delay topology when they leave the journal, which may be after a restart
+  async _publishDelayed(entry) {
+    const mechanism = await this._delayMechanism();
+    if (!this._delayTopologies.has(entry.exchange)) {
+      await this._assertTopology(delayTopology(mechanism, entry.exchange));
+      this._delayTopologies.add(entry.exchange);
+    }
+    const delay = Math.max(0, entry.deliverAt - Date.now());
+    return this._channelWrapper.publish(
+      delayExchange(mechanism).name,
+      entry.routingKey,
+      Buffer.from(entry.content, 'base64'),
+      Object.assign(delayedOptions(mechanism, entry.exchange, entry.routingKey, entry.options, delay), {
+        timeout: 30000,
+      }),
+    );
+  }
+
+  // on a channel of its own: a conflicting declaration closes that channel, not the one publishing the backlog
+  async _assertTopology(topology) {
+    const channelWrapper = this._connectionManager.createChannel({});
+    try {
+      await channelWrapper.waitForConnect();
+      await channelWrapper.addSetup((channel) => Promise.all(assertTopology(channel, topology)));
+    } finally {
+      await channelWrapper.close();
+    }
+  }
+
+  async close() {
+    this._closed = true;
+    clearTimeout(this._retryTimer);
+    this._connectionManager.removeListener('connect', this._onConnect);
+    await this._channelWrapper.close();
+  }
+}
+
+module.exports = {
+  Outbox,
+  FileOutboxAdapter,
+  normalizeOutboxOptions,
+};
@@ -0,0 +1,62 @@
+const headers = require('./headers');
+
+/**
+ * Normalizes the `retry` option of `workerQueue`.
+ * Returns undefined if retries are disabled.
+ */
+function normalizeRetryPolicy(retry, queueName) {
+  if (!retry) {
+    return undefined;
+  }
+  const policy = Object.assign(
+    {
+      maxAttempts: 5,
+      initialDelay: 1000,
+      multiplier: 2,
+      maxDelay: 60 * 60 * 1000,
+      jitter: 0.2,
+      deadLetterQueue: `${queueName}-dead-letter`,
+    },
+    retry === true ? {} : retry,
+  );
+  if (!(policy.maxAttempts >= 1)) {
+    throw new Error('ec.amqp: retry.maxAttempts must be at least 1');
+  }
+  if (policy.jitter === true) {
+    policy.jitter = 0.2;
+  }
+  return policy;
+}
+
+// delay before the given retry (1-based), with exponential backoff and +/- jitter
+function retryDelay(policy, attempt) {
+  const base = Math.min(policy.maxDelay, policy.initialDelay * policy.multiplier ** (attempt - 1));
+  const jitter = policy.jitter ? base * policy.jitter * (Math.random() * 2 - 1) : 0;
+  return Math.max(0, Math.round(base + jitter));
+}
+
+// one delay queue per retry count keeps message TTLs in a queue roughly equal (TTLs only expire at the queue head)
+function retryQueueName(queueName, attempt) {
+  return `${queueName}-retry-${attempt}`;
+}
+
+function retryCount(message) {
+  return Number((message.properties.headers || {})[headers.RETRY_COUNT]) || 0;
+}
+
+// messages coming back from a delay queue are routed via the default exchange, so the original fields are kept in headers
+function originalFields(message) {
+  const messageHeaders = message.properties.headers || {};
+  return {
+    exchange: messageHeaders[headers.ORIGINAL_EXCHANGE] || message.fields.exchange,
+    routingKey: messageHeaders[headers.ORIGINAL_ROUTING_KEY] || message.fields.routingKey,
+  };
+}
+
+module.exports = {
+  normalizeRetryPolicy,
+  retryDelay,
+  retryQueueName,
+  retryCount,
+  originalFields,
+};
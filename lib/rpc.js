@@ -0,0 +1,169 @@
+const { v4: uuid } = require('uuid');
+const headers = require('./headers');
+const { codecs } = require('./codecs');
+
+const REPLY_QUEUE = 'amq.rabbitmq.reply-to';
+
+class RequestError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'RequestError';
+    // TIMEOUT, UNROUTABLE, REMOTE, DISCONNECTED or CLOSED
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Request/reply client using RabbitMQ direct reply-to.
+ * One instance (and channel) per connection, created on the first `request()`.
+ */
+class RpcClient {
+  constructor(connectionManager, logger) {
+    this._logger = logger;
+    this._pending = new Map();
+    this._exchanges = new Map();
+    const client = this;
+    this._channelWrapper = connectionManager.createChannel({
+      setup(channel) {
+        // replies for requests published on a previous channel can never arrive
+        client._rejectInFlight();
+        channel.on('return', (message) => client._onReturn(message));
+        return channel.consume(REPLY_QUEUE, (message) => client._onReply(message), { noAck: true });
+      },
+    });
+  }
+
+  _settle(correlationId, err, reply) {
+    const pending = this._pending.get(correlationId);
+    if (!pending) {
+      return false;
+    }
+    clearTimeout(pending.timer);
+    this._pending.delete(correlationId);
+    if (err) {
+      pending.reject(err);
+    } else {
+      pending.resolve(reply);
+    }
+    return true;
+  }
+
+  _rejectInFlight() {
+    [...this._pending.entries()]
+      .filter(([, pending]) => pending.sent)
+      .forEach(([correlationId, pending]) => {
+        this._settle(
+          correlationId,
+          new RequestError('DISCONNECTED', 'ec.amqp: channel was lost while waiting for a reply', {
+            exchange: pending.exchange,
+            routingKey: pending.routingKey,
+          }),
+        );
+      });
+  }
+
+  _onReply(message) {
+    if (!message) {
+      return;
+    }
+    const { correlationId } = message.properties;
+    const error = (message.properties.headers || {})[headers.REPLY_ERROR];
+    let reply;
+    let err;
+    if (error) {
+      err = new RequestError('REMOTE', error);
+    } else {
+      try {
+        reply = codecs.decode(message.content, message.properties);
+      } catch (decodeErr) {
+        err = new RequestError('REMOTE', `ec.amqp: could not parse reply: ${decodeErr.message}`);
+      }
+    }
+    if (!this._settle(correlationId, err, reply)) {
+      this._logger.warn('ignoring late or unknown reply', { correlationId });
+    }
+  }
+
+  _onReturn(message) {
+    const { correlationId } = message.properties;
+    this._settle(
+      correlationId,
+      new RequestError('UNROUTABLE', `ec.amqp: request to ${message.fields.exchange}/${message.fields.routingKey} was not routed to any queue`, {
+        exchange: message.fields.exchange,
+        routingKey: message.fields.routingKey,
+      }),
+    );
+  }
+
+  _assertExchange(exchange, exchangeType, durable) {
+    if (!this._exchanges.has(exchange)) {
+      const asserted = this._channelWrapper
+        .addSetup((channel) => channel.assertExchange(exchange, exchangeType, { durable }))
+        .catch((err) => {
+          this._exchanges.delete(exchange);
+          throw err;
+        });
+      this._exchanges.set(exchange, asserted);
+    }
+    return this._exchanges.get(exchange);
+  }
+
+  async request(exchange, routingKey, payload, options = {}) {
+    const { timeout = 30000, exchangeType = 'topic', durable = true, ...publishOptions } = options;
+    await this._assertExchange(exchange, exchangeType, durable);
+    const correlationId = uuid();
+    const properties = Object.assign(
+      {
+        contentType: 'application/json',
+        messageId: uuid(),
+        type: 'request',
+        appId: 'unknown',
+        timestamp: new Date().getTime(),
+        mandatory: true,
+        // requests nobody picked up before the timeout are discarded by the broker
+        expiration: String(timeout),
+      },
+      publishOptions,
+      { correlationId, replyTo: REPLY_QUEUE },
+    );
+    const content = codecs.encode(payload, properties);
+    return new Promise((resolve, reject) => {
+      const pending = {
+        resolve,
+        reject,
+        exchange,
+        routingKey,
+        sent: false,
+        timer: setTimeout(() => {
+          this._settle(
+            correlationId,
+            new RequestError('TIMEOUT', `ec.amqp: no reply from ${exchange}/${routingKey} within ${timeout}ms`, {
+              exchange,
+              routingKey,
+            }),
+          );
+        }, timeout),
+      };
+      this._pending.set(correlationId, pending);
+      this._channelWrapper
+        .publish(exchange, routingKey, content, properties)
+        .then(() => {
+          pending.sent = true;
+        })
+        .catch((err) => this._settle(correlationId, err));
+    });
+  }
+
+  async close() {
+    [...this._pending.keys()].forEach((correlationId) => {
+      this._settle(correlationId, new RequestError('CLOSED', 'ec.amqp: connection was closed while waiting for a reply'));
+    });
+    await this._channelWrapper.close();
+  }
+}
+
+module.exports = {
+  RpcClient,
+  RequestError,
+};
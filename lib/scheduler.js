@@ -0,0 +1,87 @@
+/**
+ * Runs at most `concurrency` tasks at a time. Tasks with the same key run one after another in the order
+ * they were scheduled, tasks with different keys (or an undefined key) run in parallel.
+ */
+class KeyedScheduler {
+  constructor({ concurrency = Infinity } = {}) {
+    this.concurrency = concurrency;
+    this._running = 0;
+    this._activeKeys = new Set();
+    this._pending = [];
+  }
+
+  // `onDiscard` is called instead of `task` if the task is discarded before it started
+  run(key, task, onDiscard = () => {}) {
+    return new Promise((resolve, reject) => {
+      this._pending.push({ key, task, onDiscard, resolve, reject });
+      this._next();
+    });
+  }
+
+  // removes the tasks not started yet, e.g. deliveries of a closed channel; their promises resolve
+  discard() {
+    const pending = this._pending;
+    this._pending = [];
+    pending.forEach(({ onDiscard, resolve }) => {
+      onDiscard();
+      resolve();
+    });
+  }
+
+  get pending() {
+    return this._pending.length;
+  }
+
+  // starts the oldest pending tasks whose key is not running, which keeps the order per key
+  _next() {
+    let i = 0;
+    while (i < this._pending.length && this._running < this.concurrency) {
+      const { key } = this._pending[i];
+      if (key !== undefined && this._activeKeys.has(key)) {
+        i += 1;
+      } else {
+        this._start(this._pending.splice(i, 1)[0]);
+      }
+    }
+  }
+
+  _start({ key, task, resolve, reject }) {
+    this._running += 1;
+    if (key !== undefined) {
+      this._activeKeys.add(key);
+    }
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        this._running -= 1;
+        this._activeKeys.delete(key);
+        this._next();
+      });
+  }
+}
+
+/**
+ * Normalizes the `concurrency` and `orderBy` options of `workerQueue`.
+ * Returns undefined if neither is set, handlers then run as messages arrive.
+ */
+function normalizeSchedulerOptions({ concurrency, orderBy } = {}) {
+  if (concurrency === undefined && !orderBy) {
+    return undefined;
+  }
+  if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency >= 1)) {
+    throw new Error('ec.amqp: concurrency must be an integer of at least 1');
+  }
+  if (orderBy && typeof orderBy !== 'function') {
+    throw new Error('ec.amqp: orderBy must be a function');
+  }
+  return {
+    scheduler: new KeyedScheduler({ concurrency }),
+    orderBy,
+  };
+}
+
+module.exports = {
+  KeyedScheduler,
+  normalizeSchedulerOptions,
+};
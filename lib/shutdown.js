@@ -0,0 +1,104 @@
+const defaults = {
+  signals: ['SIGHUP', 'SIGINT', 'SIGTERM'],
+  uncaughtException: true,
+  unhandledRejection: true,
+  beforeExit: true,
+  exitOnSignal: false,
+  exitOnCrash: true,
+  exitCode: 1,
+  timeoutInSeconds: 30,
+};
+
+/**
+ * Process signal and crash handling. `configure()` replaces the registered process listeners,
+ * so applications that own the process lifecycle can limit or turn off what ec.amqp handles.
+ * Hooks: `beforeShutdown({ reason, err })`, `afterShutdown({ reason, err, reports })` and `onAbandoned(report)`.
+ */
+class ShutdownHandlers {
+  constructor(gracefulShutdown, logger) {
+    this._gracefulShutdown = gracefulShutdown;
+    this._logger = logger;
+    this._listeners = new Map();
+    this.options = Object.assign({}, defaults);
+  }
+
+  configure(options = {}) {
+    this.options = Object.assign({}, this.options, options);
+    this._listeners.forEach((listener, event) => process.removeListener(event, listener));
+    this._listeners.clear();
+
+    const { signals, exitOnSignal, exitOnCrash, exitCode } = this.options;
+    (signals || []).forEach((signal) => {
+      this._on(signal, () => {
+        this._logger.info(`${signal} received.`);
+        return this.run(signal, { exit: exitOnSignal, exitCode: 0 });
+      });
+    });
+    if (this.options.uncaughtException) {
+      this._on('uncaughtException', (err) => {
+        this._logger.error('uncaughtException received.', { err });
+        return this.run('uncaughtException', { err, exit: exitOnCrash, exitCode });
+      });
+    }
+    if (this.options.unhandledRejection) {
+      this._on('unhandledRejection', (err) => {
+        this._logger.error('unhandledRejection received.', { err });
+        return this.run('unhandledRejection', { err, exit: exitOnCrash, exitCode });
+      });
+    }
+    if (this.options.beforeExit) {
+      this._on('beforeExit', (code) => {
+        this._logger.info(`beforeExit received. code: ${code}`);
+        return this.run('beforeExit');
+      });
+    }
+    return this.options;
+  }
+
+  _on(event, listener) {
+    process.on(event, listener);
+    this._listeners.set(event, listener);
+  }
+
+  async _hook(name, args) {
+    const hook = this.options[name];
+    if (!hook) {
+      return;
+    }
+    try {
+      await hook(args);
+    } catch (err) {
+      this._logger.error(`${name} hook failed`, { err });
+    }
+  }
+
+  // shuts down once, later triggers wait for the first shutdown and only decide about exiting
+  async run(reason, { err, exit = false, exitCode = 0 } = {}) {
+    if (!this._running) {
+      this._running = (async () => {
+        await this._hook('beforeShutdown', { reason, err });
+        const reports = await this._gracefulShutdown({ onAbandoned: this.options.onAbandoned });
+        await this._hook('afterShutdown', { reason, err, reports });
+      })().catch((shutdownErr) => this._logger.error('graceful shutdown failed', { err: shutdownErr }));
+    }
+    let timer;
+    const timedOut = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(true), this.options.timeoutInSeconds * 1000);
+      // keeps the process alive until it can exit with the configured code
+      if (!exit) {
+        timer.unref();
+      }
+    });
+    if (await Promise.race([this._running.then(() => false), timedOut])) {
+      this._logger.error(`graceful shutdown did not finish within ${this.options.timeoutInSeconds}s`);
+    }
+    clearTimeout(timer);
+    if (exit) {
+      process.exit(exitCode);
+    }
+  }
+}
+
+module.exports = {
+  ShutdownHandlers,
+};
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+
+const namedOffsets = ['first', 'last', 'next'];
+
+/**
+ * Keeps the offsets of stream consumers in memory, so a consumer resumes after a reconnect but not
+ * after a restart. Custom stores (Redis, a database, ...) implement `get(name)` and `set(name, offset)`,
+ * both may return a promise.
+ */
+class MemoryOffsetStore {
+  constructor() {
+    this._offsets = new Map();
+  }
+
+  get(name) {
+    return this._offsets.get(name);
+  }
+
+  set(name, offset) {
+    this._offsets.set(name, offset);
+  }
+}
+
+/**
+ * Keeps the offsets of stream consumers in a JSON file, e.g. on a persistent volume.
+ * The file is replaced on every write, so it is never left half written.
+ */
+class FileOffsetStore {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this._offsets = {};
+    this._writes = Promise.resolve();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (fs.existsSync(this.filePath)) {
+      this._offsets = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    }
+  }
+
+  get(name) {
+    return this._offsets[name];
+  }
+
+  set(name, offset) {
+    this._offsets[name] = offset;
+    const write = async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(this._offsets));
+      await fs.promises.rename(tmpPath, this.filePath);
+    };
+    this._writes = this._writes.then(write, write);
+    return this._writes;
+  }
+}
+
+/**
+ * Normalizes the options of `streamConsumer`. `offset` is where a consumer without a stored offset
+ * starts: `first`, `last`, `next`, an offset or a Date.
+ */
+function normalizeStreamOptions(options, streamName) {
+  const stream = Object.assign({ offset: 'next', prefetch: 100, name: streamName }, options);
+  const { offset, prefetch } = stream;
+  const validOffset =
+    namedOffsets.includes(offset) ||
+    (Number.isInteger(offset) && offset >= 0) ||
+    (offset instanceof Date && !Number.isNaN(offset.getTime()));
+  if (!validOffset) {
+    throw new Error("ec.amqp: streamConsumer offset must be 'first', 'last', 'next', a non-negative integer or a Date");
+  }
+  if (!(Number.isInteger(prefetch) && prefetch >= 1)) {
+    throw new Error('ec.amqp: streamConsumer prefetch must be an integer of at least 1');
+  }
+  return Object.assign(stream, { store: stream.store || new MemoryOffsetStore() });
+}
+
+// the x-stream-offset consumer argument; RabbitMQ expects dates as AMQP timestamps in seconds
+function streamOffsetArgument(offset) {
+  if (offset instanceof Date) {
+    return { '!': 'timestamp', value: Math.floor(offset.getTime() / 1000) };
+  }
+  return offset;
+}
+
+/**
+ * Stores the offset up to which all deliveries of a stream consumer have been processed;
+ * handlers may finish out of order. Writes to the store are serialized, offsets processed
+ * while a write is running are stored with the next one.
+ */
+class OffsetTracker {
+  constructor(store, name, onError) {
+    this._store = store;
+    this._name = name;
+    this._onError = onError;
+    this._deliveries = [];
+    this._offset = undefined;
+    this._pending = undefined;
+    this._writing = Promise.resolve();
+  }
+
+  // where to start consuming: after the last processed offset, undefined if there is none
+  async resumeOffset() {
+    if (this._offset === undefined) {
+      const stored = await this._store.get(this._name);
+      if (stored !== undefined && stored !== null && this._offset === undefined) {
+        this._offset = Number(stored);
+      }
+    }
+    return this._offset === undefined ? undefined : this._offset + 1;
+  }
+
+  // returns the function that marks the delivery as processed
+  delivered(offset) {
+    const delivery = { offset, done: false };
+    this._deliveries.push(delivery);
+    return () => {
+      delivery.done = true;
+      this._advance();
+    };
+  }
+
+  // deliveries of a closed channel are delivered again, starting after the last processed offset
+  reset() {
+    this._deliveries = [];
+  }
+
+  committed() {
+    return this._writing;
+  }
+
+  _advance() {
+    let offset;
+    while (this._deliveries.length && this._deliveries[0].done) {
+      ({ offset } = this._deliveries.shift());
+    }
+    if (offset === undefined || (this._offset !== undefined && offset <= this._offset)) {
+      return;
+    }
+    this._offset = offset;
+    if (this._pending === undefined) {
+      this._pending = offset;
+      this._writing = this._writing.then(() => this._write());
+    } else {
+      this._pending = offset;
+    }
+  }
+
+  async _write() {
+    const offset = this._pending;
+    this._pending = undefined;
+    try {
+      await this._store.set(this._name, offset);
+    } catch (err) {
+      this._onError(err, offset);
+    }
+  }
+}
+
+module.exports = {
+  MemoryOffsetStore,
+  FileOffsetStore,
+  OffsetTracker,
+  normalizeStreamOptions,
+  streamOffsetArgument,
+};
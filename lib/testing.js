@@ -0,0 +1,120 @@
+const { v4: uuid } = require('uuid');
+const { topicMatches } = require('./memoryBroker');
+
+function matches(record, filter) {
+  if (!filter) {
+    return true;
+  }
+  if (typeof filter === 'function') {
+    return filter(record);
+  }
+  return Object.entries(filter).every(([key, expected]) => {
+    if (key === 'routingKey') {
+      return topicMatches(expected, record.routingKey);
+    }
+    return record[key] === expected;
+  });
+}
+
+function describeFilter(filter) {
+  return typeof filter === 'function' ? `predicate ${filter.name || 'function'}` : JSON.stringify(filter || {});
+}
+
+function spy() {
+  const fn = (...args) => {
+    fn.calls.push(args);
+  };
+  fn.calls = [];
+  Object.defineProperty(fn, 'called', { get: () => fn.calls.length > 0 });
+  return fn;
+}
+
+/**
+ * Assertion helpers for testing mode, backed by the records of the in-memory broker.
+ * Filters are objects matched against record fields (`routingKey` may be a topic pattern)
+ * or predicates receiving the record.
+ */
+function createTestHelpers(broker, getConnections) {
+  function waitFor(kind, filter, timeout) {
+    const existing = broker[kind].find((record) => matches(record, filter));
+    if (existing) {
+      return Promise.resolve(existing);
+    }
+    return new Promise((resolve, reject) => {
+      let timer;
+      const onRecord = (record) => {
+        if (matches(record, filter)) {
+          clearTimeout(timer);
+          broker.removeListener(kind, onRecord);
+          resolve(record);
+        }
+      };
+      timer = setTimeout(() => {
+        broker.removeListener(kind, onRecord);
+        const seen = broker[kind].slice(-10).map((record) => `${record.exchange}/${record.routingKey}`);
+        reject(
+          new Error(
+            `ec.amqp: no ${kind} message matching ${describeFilter(filter)} within ${timeout}ms` +
+              ` (last ${kind}: ${seen.join(', ') || 'none'})`,
+          ),
+        );
+      }, timeout);
+      broker.on(kind, onRecord);
+    });
+  }
+
+  function findHandler(queueName, connectionName) {
+    const registered = getConnections()
+      .filter((connection) => connectionName === undefined || connection._connectionName === connectionName)
+      // the first consumer of a queue handles injected messages
+      .map((connection) => (connection._handlers.get(queueName) || [])[0])
+      .find(Boolean);
+    if (!registered) {
+      throw new Error(`ec.amqp: no workerQueue or subscribe handler registered for "${queueName}"`);
+    }
+    return registered;
+  }
+
+  return {
+    published: (filter) => broker.published.filter((record) => matches(record, filter)),
+    consumed: (filter) => broker.consumed.filter((record) => matches(record, filter)),
+    waitForPublished: (filter, { timeout = 2000 } = {}) => waitFor('published', filter, timeout),
+    waitForConsumed: (filter, { timeout = 2000 } = {}) => waitFor('consumed', filter, timeout),
+
+    // calls the handler registered for a queue (or subscribe prefix) and its middleware directly, bypassing the broker
+    async inject(queueName, event, options = {}) {
+      const { handler, workerQueue } = findHandler(queueName, options.connection);
+      const properties = Object.assign(
+        {
+          contentType: 'application/json',
+          messageId: uuid(),
+          type: 'event',
+          appId: 'unknown',
+          timestamp: new Date().getTime(),
+          headers: {},
+        },
+        options.properties,
+      );
+      if (workerQueue) {
+        properties.redelivered = !!options.redelivered;
+      }
+      const ack = spy();
+      const nack = spy();
+      let error;
+      try {
+        await handler(event, properties, { ack, nack, queue: queueName });
+      } catch (err) {
+        error = err;
+      }
+      return { properties, ack, nack, error };
+    },
+
+    reset() {
+      broker.reset();
+    },
+  };
+}
+
+module.exports = {
+  createTestHelpers,
+};
@@ -0,0 +1,205 @@
+class TopologyError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'TopologyError';
+    this.code = 'PRECONDITION_FAILED';
+    Object.assign(this, details);
+  }
+}
+
+// queue options and the x-arguments they set
+const queueArgumentNames = {
+  type: 'x-queue-type',
+  messageTtl: 'x-message-ttl',
+  expires: 'x-expires',
+  maxLength: 'x-max-length',
+  maxLengthBytes: 'x-max-length-bytes',
+  overflow: 'x-overflow',
+  deadLetterExchange: 'x-dead-letter-exchange',
+  deadLetterRoutingKey: 'x-dead-letter-routing-key',
+  deliveryLimit: 'x-delivery-limit',
+  singleActiveConsumer: 'x-single-active-consumer',
+  maxPriority: 'x-max-priority',
+};
+
+// `{ type: 'quorum', messageTtl: 60000 }` -> `{ 'x-queue-type': 'quorum', 'x-message-ttl': 60000 }`
+function queueArguments(options = {}) {
+  const args = Object.assign({}, options.arguments);
+  Object.entries(queueArgumentNames).forEach(([option, argument]) => {
+    if (options[option] !== undefined) {
+      args[argument] = options[option];
+    }
+  });
+  return args;
+}
+
+function normalizeExchange(name, options = {}) {
+  const args = Object.assign({}, options.arguments);
+  if (options.alternateExchange) {
+    args['alternate-exchange'] = options.alternateExchange;
+  }
+  return {
+    name,
+    type: options.type || 'topic',
+    durable: options.durable !== false,
+    autoDelete: !!options.autoDelete,
+    internal: !!options.internal,
+    arguments: args,
+  };
+}
+
+function normalizeQueue(name, options = {}) {
+  return {
+    name,
+    durable: options.durable !== false,
+    autoDelete: !!options.autoDelete,
+    exclusive: !!options.exclusive,
+    arguments: queueArguments(options),
+  };
+}
+
+function normalizeBindings(destinationType, destination, bindings = []) {
+  const sourceKey = destinationType === 'queue' ? 'exchange' : 'source';
+  return bindings.flatMap((binding) =>
+    [].concat(binding.routingKey === undefined ? '' : binding.routingKey).map((pattern) => ({
+      destinationType,
+      destination,
+      source: binding[sourceKey],
+      pattern,
+      arguments: binding.arguments,
+    })),
+  );
+}
+
+/**
+ * Normalizes a topology (the `amqp.topology` config section): `exchanges` and `queues` keyed by name,
+ * each with `bindings` to their source exchanges. Exchanges are durable topic exchanges and
+ * queues durable quorum queues unless configured otherwise.
+ */
+function normalizeTopology(topology = {}) {
+  const exchanges = Object.entries(topology.exchanges || {});
+  const queues = Object.entries(topology.queues || {});
+  return {
+    exchanges: exchanges.map(([name, exchange]) => normalizeExchange(name, exchange)),
+    queues: queues.map(([name, queue]) => normalizeQueue(name, Object.assign({ type: 'quorum' }, queue))),
+    bindings: [
+      ...exchanges.flatMap(([name, exchange]) => normalizeBindings('exchange', name, exchange.bindings)),
+      ...queues.flatMap(([name, queue]) => normalizeBindings('queue', name, queue.bindings)),
+    ],
+  };
+}
+
+function mergeTopologies(...topologies) {
+  return {
+    exchanges: topologies.flatMap((topology) => topology.exchanges),
+    queues: topologies.flatMap((topology) => topology.queues),
+    bindings: topologies.flatMap((topology) => topology.bindings),
+  };
+}
+
+function isEmpty({ exchanges, queues, bindings }) {
+  return !exchanges.length && !queues.length && !bindings.length;
+}
+
+// asserts a normalized topology; the channel runs the commands in order, so bindings follow their exchanges and queues
+function assertTopology(channel, { exchanges, queues, bindings }) {
+  return [
+    ...exchanges.map(({ name, type, durable, autoDelete, internal, arguments: args }) =>
+      channel.assertExchange(name, type, { durable, autoDelete, internal, arguments: args }),
+    ),
+    ...queues.map(({ name, durable, autoDelete, exclusive, arguments: args }) =>
+      channel.assertQueue(name, { durable, autoDelete, exclusive, arguments: args }),
+    ),
+    ...bindings.map(({ destinationType, destination, source, pattern, arguments: args }) =>
+      destinationType === 'queue'
+        ? channel.bindQueue(destination, source, pattern, args)
+        : channel.bindExchange(destination, source, pattern, args),
+    ),
+  ];
+}
+
+// properties RabbitMQ compares when an exchange or queue is declared again
+function exchangeProperties({ type, durable, autoDelete, internal, arguments: args }) {
+  return Object.assign({ type, durable, autoDelete, internal }, args);
+}
+
+function queueProperties({ durable, autoDelete, arguments: args }) {
+  return Object.assign({ durable, autoDelete }, args);
+}
+
+function compare(type, name, by, expected, asserted, mismatches) {
+  [...new Set([...Object.keys(expected), ...Object.keys(asserted)])]
+    // like RabbitMQ, a declaration without x-queue-type accepts the queue's type
+    .filter((property) => property !== 'x-queue-type' || asserted[property] !== undefined)
+    .filter((property) => expected[property] !== asserted[property])
+    .forEach((property) => {
+      mismatches.push({ type, name, property, topology: expected[property], asserted: asserted[property], by });
+    });
+}
+
+/**
+ * Compares a topology with the exchanges and queues asserted by consumers and publishers (`declarations`,
+ * `[{ topology, by }]`). Mismatches make RabbitMQ fail the later declaration with PRECONDITION_FAILED.
+ */
+function diffTopology(topology, declarations) {
+  const exchanges = new Map(topology.exchanges.map((exchange) => [exchange.name, exchange]));
+  const queues = new Map(topology.queues.map((queue) => [queue.name, queue]));
+  const mismatches = [];
+  const undeclared = [];
+  declarations.forEach(({ topology: declared, by }) => {
+    declared.exchanges.forEach((exchange) => {
+      const expected = exchanges.get(exchange.name);
+      if (!expected) {
+        undeclared.push({ type: 'exchange', name: exchange.name, by });
+        return;
+      }
+      compare('exchange', exchange.name, by, exchangeProperties(expected), exchangeProperties(exchange), mismatches);
+    });
+    declared.queues.forEach((queue) => {
+      const expected = queues.get(queue.name);
+      if (!expected) {
+        undeclared.push({ type: 'queue', name: queue.name, by });
+        return;
+      }
+      compare('queue', queue.name, by, queueProperties(expected), queueProperties(queue), mismatches);
+    });
+  });
+  return { mismatches, undeclared };
+}
+
+// PRECONDITION_FAILED - inequivalent arg 'x-max-length' for queue 'jobs' in vhost '/': received ... but current is ...
+const inequivalentArg = /inequivalent arg '([^']*)' for (exchange|queue) '([^']*)' in vhost '[^']*': received (.*) but current is (.*?)"?$/;
+
+/**
+ * Turns the channel error of a declaration that does not match the existing exchange or queue
+ * into a TopologyError naming the consumer or publisher (`by`). Other errors are returned as they are.
+ */
+function setupError(err, by) {
+  if (!err || err.code !== 406) {
+    return err;
+  }
+  const match = inequivalentArg.exec(err.message);
+  if (!match) {
+    return new TopologyError(`ec.amqp: ${by} could not assert its topology: ${err.message}`, { by, cause: err });
+  }
+  const [, property, type, name, asserted, existing] = match;
+  return new TopologyError(
+    `ec.amqp: ${by} asserts ${type} '${name}' with ${property} ${asserted}, but the existing ${type} has ${existing}.` +
+      ` Change the options to match, or delete the ${type} so it is declared again` +
+      ' (queue arguments can also be changed with a policy).',
+    { by, type, resource: name, property, asserted, existing, cause: err },
+  );
+}
+
+module.exports = {
+  TopologyError,
+  setupError,
+  queueArguments,
+  normalizeExchange,
+  normalizeQueue,
+  normalizeTopology,
+  mergeTopologies,
+  isEmpty,
+  assertTopology,
+  diffTopology,
+};
@@ -0,0 +1,98 @@
+const { name: product, version } = require('../package.json');
+
+let otel;
+
+// @opentelemetry/api is an optional peer dependency, without it tracing is a no-op
+function api() {
+  if (otel === undefined) {
+    try {
+      otel = require('@opentelemetry/api'); // eslint-disable-line global-require, import/no-unresolved
+    } catch (err) {
+      otel = null;
+    }
+  }
+  return otel;
+}
+
+function tracer() {
+  return api().trace.getTracer(product, version);
+}
+
+function endSpan(span, err) {
+  if (err) {
+    span.recordException(err);
+    span.setStatus({ code: api().SpanStatusCode.ERROR, message: String(err.message || err) });
+  }
+  span.end();
+}
+
+/**
+ * Runs `publish(options)` in a producer span and injects its W3C trace context
+ * (`traceparent`/`tracestate`) into a copy of the message headers.
+ */
+async function tracePublish(exchange, routingKey, options, publish) {
+  if (!api()) {
+    return publish(options);
+  }
+  const { context, trace, propagation, SpanKind } = api();
+  const span = tracer().startSpan(`${exchange} publish`, {
+    kind: SpanKind.PRODUCER,
+    attributes: {
+      'messaging.system': 'rabbitmq',
+      'messaging.operation': 'publish',
+      'messaging.destination.name': exchange,
+      'messaging.rabbitmq.destination.routing_key': routingKey,
+      'messaging.message.id': options.messageId,
+    },
+  });
+  const headers = Object.assign({}, options.headers);
+  propagation.inject(trace.setSpan(context.active(), span), headers);
+  try {
+    const result = await publish(Object.assign({}, options, { headers }));
+    endSpan(span);
+    return result;
+  } catch (err) {
+    endSpan(span, err);
+    throw err;
+  }
+}
+
+/**
+ * Runs `handle()` in a consumer span whose parent is the trace context found in the message headers.
+ */
+async function traceConsume({ exchange, routingKey, queue, message }, handle) {
+  if (!api()) {
+    return handle();
+  }
+  const { context, trace, propagation, SpanKind, ROOT_CONTEXT } = api();
+  const parentContext = propagation.extract(ROOT_CONTEXT, message.properties.headers || {});
+  const span = tracer().startSpan(
+    `${queue} process`,
+    {
+      kind: SpanKind.CONSUMER,
+      attributes: {
+        'messaging.system': 'rabbitmq',
+        'messaging.operation': 'process',
+        'messaging.destination.name': exchange,
+        'messaging.rabbitmq.destination.routing_key': routingKey,
+        'messaging.destination.subscription.name': queue,
+        'messaging.message.id': message.properties.messageId,
+        'messaging.rabbitmq.message.redelivered': !!message.fields.redelivered,
+      },
+    },
+    parentContext,
+  );
+  try {
+    const result = await context.with(trace.setSpan(parentContext, span), handle);
+    endSpan(span);
+    return result;
+  } catch (err) {
+    endSpan(span, err);
+    throw err;
+  }
+}
+
+module.exports = {
+  tracePublish,
+  traceConsume,
+};
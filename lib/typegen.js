@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const { loadSpec, resolveRef, deref } = require('./asyncapi');
+
+const identifierPattern = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+function pascalCase(string) {
+  return string
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1))
+    .join('');
+}
+
+function propertyName(name) {
+  return identifierPattern.test(name) ? name : JSON.stringify(name);
+}
+
+function docComment(description, indent) {
+  if (!description) {
+    return '';
+  }
+  const lines = String(description)
+    .trim()
+    .replace(/\*\//g, '*\\/')
+    .split('\n');
+  if (lines.length === 1) {
+    return `${indent}/** ${lines[0]} */\n`;
+  }
+  return `${indent}/**\n${lines.map((line) => `${indent} * ${line}`.trimEnd()).join('\n')}\n${indent} */\n`;
+}
+
+function literal(value) {
+  return value === null ? 'null' : JSON.stringify(value);
+}
+
+function createGenerator(doc, namedPointers) {
+  function toType(schema, indent) {
+    if (schema && schema.$ref) {
+      const named = namedPointers.get(schema.$ref);
+      if (named) {
+        return named;
+      }
+      return toType(resolveRef(doc, schema.$ref), indent);
+    }
+    if (!schema || typeof schema !== 'object') {
+      return 'any';
+    }
+
+    let type;
+    if (Array.isArray(schema.enum)) {
+      type = schema.enum.map(literal).join(' | ');
+    } else if (schema.oneOf || schema.anyOf) {
+      type = (schema.oneOf || schema.anyOf).map((s) => toType(s, indent)).join(' | ');
+    } else if (schema.allOf) {
+      type = schema.allOf.map((s) => toType(s, indent)).join(' & ');
+    } else if (Array.isArray(schema.type)) {
+      type = schema.type.map((t) => toType(Object.assign({}, schema, { type: t }), indent)).join(' | ');
+    } else if (schema.type === 'string') {
+      type = 'string';
+    } else if (schema.type === 'number' || schema.type === 'integer') {
+      type = 'number';
+    } else if (schema.type === 'boolean') {
+      type = 'boolean';
+    } else if (schema.type === 'null') {
+      type = 'null';
+    } else if (schema.type === 'array') {
+      const items = toType(schema.items, indent);
+      type = /^[\w.]+$/.test(items) ? `${items}[]` : `Array<${items}>`;
+    } else if (schema.type === 'object' || schema.properties) {
+      type = objectType(schema, indent); // eslint-disable-line no-use-before-define
+    } else {
+      type = 'any';
+    }
+
+    if (schema.nullable && type !== 'any') {
+      type = `${type} | null`;
+    }
+    return type;
+  }
+
+  function objectType(schema, indent) {
+    const properties = Object.entries(schema.properties || {});
+    const required = new Set(schema.required || []);
+    const inner = `${indent}  `;
+    const members = properties.map(([name, propertySchema]) => {
+      const resolved = deref(doc, propertySchema) || {};
+      const optional = required.has(name) ? '' : '?';
+      return `${docComment(resolved.description, inner)}${inner}${propertyName(name)}${optional}: ${toType(
+        propertySchema,
+        inner,
+      )};\n`;
+    });
+    if (schema.additionalProperties === true || (!properties.length && schema.additionalProperties !== false)) {
+      members.push(`${inner}[key: string]: any;\n`);
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      members.push(`${inner}[key: string]: ${toType(schema.additionalProperties, inner)};\n`);
+    }
+    if (!members.length) {
+      return '{}';
+    }
+    return `{\n${members.join('')}${indent}}`;
+  }
+
+  return { toType };
+}
+
+function routeTemplate(doc, channel) {
+  const source = channel.routingKey
+    .split(/(\{[^}]+\})/)
+    .filter(Boolean)
+    .map((part) => {
+      if (!part.startsWith('{')) {
+        return part.replace(/[`\\$]/g, '\\$&');
+      }
+      const name = part.slice(1, -1);
+      const parameter = deref(doc, channel.parameters[name] || channel.parameters[`/${name}`]) || {};
+      const schema = deref(doc, parameter.schema) || {};
+      if (Array.isArray(schema.enum) && schema.enum.every((value) => typeof value === 'string')) {
+        return `\${${schema.enum.map(literal).join(' | ')}}`;
+      }
+      return '${string}';
+    })
+    .join('');
+  return `\`${source}\``;
+}
+
+// optional channel segments (e.g. `{/replyTo}`) produce one template per combination
+function routeTemplates(doc, channel) {
+  const optionalNames = Object.keys(channel.parameters)
+    .filter((key) => key.startsWith('/'))
+    .map((key) => key.slice(1));
+  let keys = [channel.routingKey];
+  optionalNames.forEach((name) => {
+    keys = keys.reduce(
+      (all, key) => all.concat(key, key.replace(new RegExp(`\\.\\{${name}\\}`), '')),
+      [],
+    );
+  });
+  return keys.map((routingKey) => routeTemplate(doc, Object.assign({}, channel, { routingKey })));
+}
+
+/**
+ * Generates TypeScript declarations for all message payloads and channel parameters
+ * of an AsyncAPI document, plus an `EventCatalog` interface mapping exchanges to
+ * routing key templates and payload types.
+ *
+ * With `moduleName`, the catalog is emitted as a module augmentation of that module
+ * (e.g. `ec.amqp`) so custom specs extend the typed overloads in amqp.d.ts.
+ */
+function generateTypes({ spec, moduleName } = {}) {
+  const { doc, channels, path: specPath } = loadSpec(spec);
+  const namedPointers = new Map();
+  const declarations = [];
+
+  Object.keys((doc.components && doc.components.messages) || {}).forEach((messageName) => {
+    namedPointers.set(`#/components/messages/${messageName}/payload`, pascalCase(messageName));
+  });
+  channels
+    .filter((channel) => channel.payloadPointer && !namedPointers.has(channel.payloadPointer))
+    .forEach((channel) => {
+      namedPointers.set(channel.payloadPointer, `${pascalCase(channel.operationId || channel.channel)}Payload`);
+    });
+
+  const { toType } = createGenerator(doc, namedPointers);
+
+  const declared = new Set();
+  namedPointers.forEach((typeName, pointer) => {
+    if (declared.has(typeName)) {
+      return;
+    }
+    declared.add(typeName);
+    const schema = resolveRef(doc, pointer);
+    const body = toType(schema, '');
+    const message = resolveRef(doc, pointer.replace(/\/payload$/, ''));
+    const comment = docComment((message && (message.summary || message.description)) || schema.description, '');
+    if (body.startsWith('{')) {
+      declarations.push(`${comment}export interface ${typeName} ${body}\n`);
+    } else {
+      declarations.push(`${comment}export type ${typeName} = ${body};\n`);
+    }
+  });
+
+  channels
+    .filter((channel) => Object.keys(channel.parameters).length)
+    .forEach((channel) => {
+      const typeName = `${pascalCase(channel.operationId || channel.channel)}Parameters`;
+      if (declared.has(typeName)) {
+        return;
+      }
+      declared.add(typeName);
+      const members = Object.entries(channel.parameters).map(([key, parameter]) => {
+        const resolved = deref(doc, parameter) || {};
+        const optional = key.startsWith('/');
+        const name = optional ? key.slice(1) : key;
+        return `${docComment(resolved.description, '  ')}  ${propertyName(name)}${optional ? '?' : ''}: ${
+          resolved.schema ? toType(resolved.schema, '  ') : 'string'
+        };\n`;
+      });
+      declarations.push(`/** Parameters of channel \`${channel.channel}\` */\nexport interface ${typeName} {\n${members.join('')}}\n`);
+    });
+
+  const exchanges = new Map();
+  channels
+    .filter((channel) => channel.exchange && channel.payloadPointer)
+    .forEach((channel) => {
+      if (!exchanges.has(channel.exchange)) {
+        exchanges.set(channel.exchange, []);
+      }
+      const payloadType = namedPointers.get(channel.payloadPointer);
+      routeTemplates(doc, channel).forEach((template) => {
+        exchanges.get(channel.exchange).push(`[${template}, ${payloadType}]`);
+      });
+    });
+
+  const indent = moduleName ? '    ' : '  ';
+  const catalogMembers = [...exchanges.entries()]
+    .map(([exchange, routes]) => `${indent}${propertyName(exchange)}: [\n${routes.map((r) => `${indent}  ${r},\n`).join('')}${indent}];\n`)
+    .join('');
+
+  const header = `// Generated by ec-amqp-types from ${path.basename(specPath)}. Do not edit.\n`;
+  if (moduleName) {
+    return (
+      `${header}import type {} from ${JSON.stringify(moduleName)};\n\n${declarations.join('\n')}\n` +
+      `declare module ${JSON.stringify(moduleName)} {\n  interface EventCatalog {\n${catalogMembers}  }\n}\n`
+    );
+  }
+  return (
+    `${header}\n${declarations.join('\n')}\n` +
+    `/** Routing key templates and payload types per exchange */\nexport interface EventCatalog {\n${catalogMembers}}\n`
+  );
+}
+
+function writeTypes({ spec, out, moduleName } = {}) {
+  const output = generateTypes({ spec, moduleName });
+  fs.writeFileSync(out, output);
+  return output;
+}
+
+module.exports = {
+  generateTypes,
+  writeTypes,
+};
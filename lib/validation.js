@@ -0,0 +1,82 @@
+const Ajv = require('ajv');
+const { loadSpec } = require('./asyncapi');
+
+const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const emailPattern = /^[^\s@]+@[^\s@]+$/;
+
+class ValidationError extends Error {
+  constructor(exchange, routingKey, channel, errors) {
+    const details = errors.map((e) => `${e.instancePath || '/'} ${e.message}`).join(', ');
+    super(`ec.amqp: payload for ${exchange}/${routingKey} does not match ${channel.operationId} schema: ${details}`);
+    this.name = 'ValidationError';
+    this.exchange = exchange;
+    this.routingKey = routingKey;
+    this.operationId = channel.operationId;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Normalizes the `validation` connection option.
+ * `true` enables publish and consume validation against the bundled events.yml.
+ */
+function normalizeOptions(validation) {
+  if (!validation) {
+    return { publish: false, consume: false };
+  }
+  if (validation === true) {
+    return { publish: true, consume: true };
+  }
+  return {
+    publish: 'publish' in validation ? validation.publish : true,
+    consume: 'consume' in validation ? validation.consume : true,
+    spec: validation.spec,
+    rejectQueue: validation.rejectQueue,
+  };
+}
+
+/**
+ * `onUndescribed(exchange, routingKey)` is called once per routing key that matches no channel of an exchange
+ * the spec describes; such payloads are not validated.
+ */
+function createValidator(specPath, { onUndescribed = () => {} } = {}) {
+  const spec = loadSpec(specPath);
+  const undescribed = new Set();
+  const ajv = new Ajv({ strict: false, allErrors: true });
+  ajv.addFormat('uuid', uuidPattern);
+  ajv.addFormat('email', emailPattern);
+  ajv.addFormat('datetime', (value) => !Number.isNaN(Date.parse(value)));
+  ajv.addFormat('date-time', (value) => !Number.isNaN(Date.parse(value)));
+  ajv.addFormat('uri', true);
+  ajv.addSchema(spec.doc, 'asyncapi');
+
+  return {
+    spec,
+    // returns the matched channel, or undefined if the spec does not describe this exchange/routing key
+    validate(exchange, routingKey, payload) {
+      const channel = spec.findChannel(exchange, routingKey);
+      if (!channel && spec.describesExchange(exchange) && !undescribed.has(`${exchange}/${routingKey}`)) {
+        // routing keys often contain ids, so the set is bounded
+        if (undescribed.size >= 1000) {
+          undescribed.clear();
+        }
+        undescribed.add(`${exchange}/${routingKey}`);
+        onUndescribed(exchange, routingKey);
+      }
+      if (!channel || !channel.payloadPointer) {
+        return undefined;
+      }
+      const validateFn = ajv.getSchema(`asyncapi${channel.payloadPointer}`);
+      if (!validateFn(payload)) {
+        throw new ValidationError(exchange, routingKey, channel, validateFn.errors);
+      }
+      return channel;
+    },
+  };
+}
+
+module.exports = {
+  ValidationError,
+  createValidator,
+  normalizeOptions,
+};